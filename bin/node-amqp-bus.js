@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+'use strict';
+
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2), { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr })
+  .then(code => process.exit(code));
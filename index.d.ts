@@ -1,4 +1,4 @@
-// Type definitions for node-amqp-bus 5.1.0
+// Type definitions for node-amqp-bus 7.0.0
 // Project: node-amqp-bus
 // Definitions by: Chauffeur Privé
 // TypeScript Version: 3.0.1
@@ -11,16 +11,85 @@ import { Connection, Channel } from 'amqplib';
 export default Bus;
 
 declare class Bus {
-  static createClient(url: string, options?: Bus.BusOptions): BusClient;
+  // url may list the nodes of a cluster, separated by commas
+  static createClient(url: string | string[], options?: Bus.BusOptions): BusClient;
+  static createMemoryStore(options?: Bus.MemoryStoreOptions): Bus.IdempotencyStore;
+  static noopTracer: Bus.Tracer;
+  // api is the @opentelemetry/api package
+  static createOpenTelemetryTracer(api: any, options?: { name?: string; version?: string }): Bus.Tracer;
+  // renders the metrics in the Prometheus text exposition format
+  static renderPrometheus(metrics: Bus.Metric[]): string;
+  // url defaults to 'memory://'
+  static getMemoryBroker(url?: string): Bus.MemoryBroker;
+  static resetMemoryBrokers(): void;
+  // thrown by a handler: the message is dead-lettered
+  static NonRetryableError: typeof Bus.BusError;
+  // thrown by a handler: the message is retried
+  static RetryLaterError: typeof Bus.BusError;
+  // thrown by a handler: the message is acked and dropped
+  static DiscardError: typeof Bus.BusError;
 }
 
 export interface BusClient extends EventEmitter {
+  connection: Connection;
+
+  // the main channel, for the topology and the consumers without a prefetch
+  channel: Channel;
+
+  publishChannel: Channel;
+
+  // the host and port of the node connected to
+  currentHost: string;
+
   publish(
     exchange: string,
     routingKey: string,
     message: Object,
     options?: Bus.PublishOptions,
-  ): Boolean;
+  ): Promise<void>;
+
+  publishMany(
+    exchange: string,
+    messages: { key: string; message: Object; opts?: Bus.PublishOptions }[],
+    options?: { failFast?: boolean },
+  ): Promise<Bus.PublishResult[]>;
+
+  // publishes a content already encoded as is, without codec, schema nor middleware
+  publishEncoded(
+    exchange: string,
+    routingKey: string,
+    content: Buffer,
+    options?: Bus.PublishOptions,
+  ): Promise<void>;
+
+  request(
+    exchange: string,
+    routingKey: string,
+    message: Object,
+    options?: Bus.RequestOptions,
+  ): Promise<any>;
+
+  reply(requestProperties: Bus.MessageProperties, result: any): Promise<void>;
+
+  // the handler may resolve with a result for each message, an Error failing its message alone
+  consumeBatch(
+    queue: string,
+    handler: (messages: Bus.BatchMessage[]) => any,
+    options?: Bus.BatchOptions,
+  ): Promise<void>;
+
+  getStats(): Bus.Stats;
+
+  // resolved with a report in dry-run mode
+  applyTopology(definition: Bus.Topology | string, options?: { dryRun?: boolean }): Promise<Bus.TopologyReport | void>;
+
+  getMetrics(): Bus.Metric[];
+
+  drain(options?: Bus.DrainOptions): Promise<void>;
+
+  usePublish(middleware: Bus.Middleware<Bus.PublishContext>): BusClient;
+
+  registerSchema(exchange: string, routingKey: string, schema: Object, options?: Bus.SchemaOptions): void;
 
   // forceClose defaults to false
   close(forceClose?: Boolean): Promise<void>;
@@ -29,12 +98,240 @@ export interface BusClient extends EventEmitter {
 declare namespace Bus {
   export interface BusOptions {
     heartbeat?: number;
+    hostStrategy?: 'ordered' | 'random' | 'round-robin';
     useConfirmChannel?: Boolean;
+    confirmTimeout?: number;
     processExitCleanupTimeout?: number;
     processExitTimeout?: number;
+    reconnect?: Boolean | ReconnectOptions;
+    outbox?: Boolean | OutboxOptions;
+    rpcTimeout?: number;
+    codecs?: { [contentType: string]: Codec };
+    drainTimeout?: number;
+    drainOnSigterm?: Boolean;
+    appId?: string;
+    tracer?: Tracer;
+    metrics?: MetricsOptions;
+    // the default outcome of the errors thrown by the handlers
+    classifyError?: ClassifyError;
+  }
+
+  export class BusError extends Error {
+    // delay in ms before a RetryLaterError is retried
+    constructor(message?: string, delay?: number);
+    delay?: number;
+  }
+
+  export type Outcome = 'retry' | 'requeue' | 'nack' | 'dead-letter' | 'discard';
+
+  // returns undefined to retry the message
+  export type ClassifyError = (
+    err: Error,
+    content: any,
+    fields: Object,
+    properties: MessageProperties,
+  ) => Outcome | undefined;
+
+  export interface MetricsOptions {
+    // upper bounds in seconds of the histogram buckets
+    buckets?: number[];
+  }
+
+  export interface MetricValue {
+    // exchange, queue and routing_key
+    labels: { [label: string]: string };
+    // counters only
+    value?: number;
+    // histograms only, cumulative
+    buckets?: { le: number; count: number }[];
+    sum?: number;
+    count?: number;
+  }
+
+  export interface Metric {
+    name: string;
+    type: 'counter' | 'histogram';
+    help: string;
+    values: MetricValue[];
+  }
+
+  export interface SpanOptions {
+    kind: 'producer' | 'consumer';
+    attributes?: { [attribute: string]: any };
+    // headers of the consumed message, the trace context is extracted from
+    carrier?: { [header: string]: any };
+  }
+
+  export interface Tracer {
+    startSpan(name: string, options: SpanOptions): any;
+    inject(span: any, carrier: { [header: string]: any }): void;
+    withSpan<T>(span: any, fn: () => T): T;
+    endSpan(span: any, err?: Error): void;
+  }
+
+  export interface QueueStats {
+    messageCount: number;
+    unackedCount: number;
+    consumerCount: number;
+  }
+
+  export interface MemoryMessage {
+    content: Buffer;
+    fields: { exchange: string; routingKey: string; redelivered: boolean; [field: string]: any };
+    properties: MessageProperties;
+  }
+
+  export interface MemoryBroker {
+    getQueueStats(queue: string): QueueStats;
+    getMessages(queue: string): MemoryMessage[];
+    waitForProcessed(
+      queue: string,
+      options?: { filter?: (message: MemoryMessage) => boolean; timeout?: number },
+    ): Promise<{ message: MemoryMessage; outcome: 'ack' | 'requeue' | 'nack' }>;
+    waitForIdle(options?: { timeout?: number }): Promise<void>;
+  }
+
+  export interface Topology {
+    // type defaults to 'topic'
+    exchanges?: { name: string; type?: 'topic' | 'direct' | 'fanout' | 'headers'; options?: Object }[];
+    queues?: { name: string; options?: Object }[];
+    // either a queue or a targetExchange
+    bindings?: {
+      exchange: string;
+      queue?: string;
+      targetExchange?: string;
+      routingKey?: string;
+      arguments?: Object;
+    }[];
+  }
+
+  export interface TopologyReport {
+    ok: boolean;
+    missing: { kind: 'exchange' | 'queue' | 'binding'; [property: string]: any }[];
+    different: { kind: 'exchange' | 'queue'; error: string; [property: string]: any }[];
+    unverifiable: { kind: 'binding'; [property: string]: any }[];
+  }
+
+  export interface IdempotencyStore {
+    has(key: string): Promise<boolean>;
+    add(key: string): Promise<void>;
+    // resolved with false when the key is added or reserved
+    reserve?(key: string): Promise<boolean>;
+    release?(key: string): Promise<void>;
+  }
+
+  export interface MemoryStoreOptions {
+    // defaults to 10000
+    maxSize?: number;
+    // time in ms a key is kept, defaults to 24 hours
+    ttl?: number;
+    // time in ms a key is reserved at most, defaults to 10 minutes
+    reservationTtl?: number;
+  }
+
+  export interface BatchMessage {
+    content: any;
+    fields: Object;
+    properties: MessageProperties;
+  }
+
+  export interface BatchOptions {
+    // defaults to 100
+    batchSize?: number;
+    // time in ms waited for a batch to be full, defaults to 1000
+    batchTimeout?: number;
+    // at least the batch size, defaults to it
+    prefetch?: number;
+    maxRetries?: number;
+    deadLetterExchange?: string;
+    classifyError?: ClassifyError;
+    [option: string]: any;
+  }
+
+  export interface DrainOptions {
+    // time in ms waited for the messages being handled, defaults to the drainTimeout option
+    timeout?: number;
+  }
+
+  export type Middleware<Context> = (ctx: Context, next: () => Promise<void>) => any;
+
+  export interface PublishContext {
+    exchange: string;
+    routingKey: string;
+    message: any;
+    options: PublishOptions;
+  }
+
+  export interface ConsumerStats {
+    queue: string;
+    consumerTag: string;
+    prefetch: number | null;
+    concurrency: number | null;
+    inFlight: number;
+    waiting: number;
+  }
+
+  export interface Stats {
+    inFlight: number;
+    waiting: number;
+    consumers: ConsumerStats[];
+  }
+
+  export interface SchemaOptions {
+    // defaults to 1
+    version?: number;
+  }
+
+  export interface OutboxOptions {
+    maxSize?: number;
+    overflow?: 'reject' | 'drop-oldest' | 'block';
+    spoolFile?: string;
+  }
+
+  export interface ReconnectOptions {
+    initialDelay?: number;
+    maxDelay?: number;
+    factor?: number;
+    maxAttempts?: number;
+  }
+
+  export interface Codec {
+    encode(message: any): Buffer;
+    decode(content: Buffer): any;
+    contentEncoding?: string;
+  }
+
+  export interface RequestOptions extends PublishOptions {
+    // time in ms waited for the reply
+    timeout?: number;
+  }
+
+  export interface MessageProperties {
+    messageId?: string;
+    timestamp?: number;
+    appId?: string;
+    contentType?: string;
+    replyTo?: string;
+    correlationId?: string;
+    headers?: { [header: string]: any };
+    [propName: string]: any;
+  }
+
+  export interface PublishResult {
+    key: string;
+    status: 'published' | 'failed' | 'skipped';
+    // the error of a failed message
+    error?: Error;
   }
 
   export interface PublishOptions {
+    // time in ms waited for the broker to confirm the message, on a confirm channel
+    confirmTimeout?: number;
+    // selects the codec of the message, defaults to 'application/json'
+    contentType?: string;
+    // version of the schema the message is validated against, defaults to the latest one
+    schemaVersion?: number;
+
     // publish options type not exported in the amqp types
     // https://github.com/DefinitelyTyped/DefinitelyTyped/blob/3ea5ad1/types/amqplib/properties.d.ts#L108
     [propName: string]: any;
@@ -2,5 +2,22 @@
 
 const createClient = require('./lib/client');
 const createListener = require('./lib/listener');
+const { createMemoryStore } = require('./lib/idempotency');
+const { noopTracer, createOpenTelemetryTracer } = require('./lib/tracing');
+const { renderPrometheus } = require('./lib/metrics');
+const { NonRetryableError, RetryLaterError, DiscardError } = require('./lib/errors');
+const { getBroker: getMemoryBroker, resetBrokers: resetMemoryBrokers } = require('./lib/memory');
 
-module.exports = { createClient, createListener };
+module.exports = {
+  createClient,
+  createListener,
+  createMemoryStore,
+  noopTracer,
+  createOpenTelemetryTracer,
+  renderPrometheus,
+  getMemoryBroker,
+  resetMemoryBrokers,
+  NonRetryableError,
+  RetryLaterError,
+  DiscardError
+};
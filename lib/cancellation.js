@@ -0,0 +1,44 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * Return a cancellation controller, with an AbortSignal-style `signal` given to a handler so that it
+ * can stop its work, and an `abort(reason)` function.
+ * The signal is a native AbortSignal when AbortController is available, so that it can be passed to
+ * the functions supporting it, otherwise a minimal one with `aborted`, `reason`, `onabort`,
+ * `addEventListener('abort', listener)` and `removeEventListener('abort', listener)`.
+ *
+ * @returns {Object} cancellation controller
+ */
+function createCancellation() {
+  if (typeof global.AbortController === 'function') {
+    const controller = new global.AbortController();
+    return {
+      signal: controller.signal,
+      abort: reason => controller.abort(reason)
+    };
+  }
+
+  const emitter = new EventEmitter();
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    onabort: null,
+    addEventListener: (type, listener) => emitter.on(type, listener),
+    removeEventListener: (type, listener) => emitter.removeListener(type, listener)
+  };
+  return {
+    signal,
+    abort: reason => {
+      if (signal.aborted) return;
+      signal.aborted = true;
+      signal.reason = reason;
+      const event = { type: 'abort', target: signal };
+      if (signal.onabort) signal.onabort(event);
+      emitter.emit('abort', event);
+    }
+  };
+}
+
+module.exports = { createCancellation };
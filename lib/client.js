@@ -1,14 +1,45 @@
 /* eslint space-infix-ops: 1 */
 'use strict';
 
+const crypto = require('crypto');
 const EventEmitter = require('events');
-const url = require('url');
 const amqplib = require('amqplib');
 const co = require('co');
 const logger = require('chpr-logger');
+const retry = require('./retry');
+const { OUTCOMES, DEFAULT_OUTCOME, DEFAULT_RETRY_LATER_DELAY, RetryLaterError, getErrorOutcome } = require('./errors');
+const { JSON_CONTENT_TYPE, createCodecs } = require('./codecs');
+const { SCHEMA_VERSION_HEADER, createSchemaRegistry, createValidationError } = require('./schemas');
+const { wrap, compose } = require('./middleware');
+const { createCancellation } = require('./cancellation');
+const messageContext = require('./context');
+const { noopTracer, getAttributes } = require('./tracing');
+const { createMetrics } = require('./metrics');
+const memory = require('./memory');
+const { parseUrls, checkHostStrategy, getConnectionOrder, describeHost } = require('./hosts');
+const { loadTopology, declareTopology, checkTopology } = require('./topology');
+const createOutbox = require('./outbox');
 
 const DEFAULT_EXCHANGE_TYPE = 'topic';
 const DEFAULT_HEARTBEAT = 10;
+const DEFAULT_CONFIRM_TIMEOUT = 10000;
+const DEFAULT_RPC_TIMEOUT = 30000;
+const DEFAULT_DRAIN_TIMEOUT = 30000;
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_BATCH_TIMEOUT = 1000;
+const TIMEOUT_POLICIES = ['retry', 'requeue', 'nack', 'dead-letter'];
+// https://www.rabbitmq.com/direct-reply-to.html
+const DIRECT_REPLY_TO_QUEUE = 'amq.rabbitmq.reply-to';
+const RPC_ERROR_HEADER = 'x-rpc-error';
+const DEFAULT_RECONNECT_OPTIONS = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  maxAttempts: Infinity
+};
+
+// Pending waits for the write buffer of a channel to be drained
+const drains = new WeakMap();
 
 /**
  * Return a bus client with helper methods to communicate with an amqp server.
@@ -16,43 +47,147 @@ const DEFAULT_HEARTBEAT = 10;
  * @see https://help.compose.com/docs/rabbitmq-connecting-to-rabbitmq#section-node-and-rabbitmq
  *
  * @name  createClient.
- * @param {String} rabbitmqUrl : The url of your amqp server.
+ * @param {String|Array} rabbitmqUrl : The url of your amqp server, or a `memory://[name]` url to use an
+ * in-memory broker instead, see lib/memory.js. The url of each node of a cluster can be given, in a list
+ * or separated by commas, or the url can have a comma-separated list of hosts, see lib/hosts.js.
  * @param {Object} [options]
  * @param {Number} [options.heartbeat] : the heartbeat that you want to use.
+ * @param {String} [options.hostStrategy] : the order in which the hosts of a cluster are tried on each
+ * connection: 'ordered', 'random' or 'round-robin', default to 'ordered'
  * @param {Boolean} [options.useConfirmChannel] : use a confirm channel
+ * @param {Number} [options.confirmTimeout] : the time in ms waited for the broker to confirm a published
+ * message on a confirm channel, default to 10000
  * @param {Number|undefined} [options.processExitCleanupTimeout] : the time in ms that is (at least) waited for close cleanup operations.
  * @param {Number|undefined} [options.processExitTimeout] : the time in ms that is (at least) waited before exiting process.
+ * @param {Boolean|Object} [options.reconnect] : reconnect instead of exiting the process when the connection is lost.
+ * @param {Number} [options.reconnect.initialDelay] : the delay in ms before the first attempt, default to 1000
+ * @param {Number} [options.reconnect.maxDelay] : the maximum delay in ms between two attempts, default to 30000
+ * @param {Number} [options.reconnect.factor] : the factor applied to the delay after each attempt, default to 2
+ * @param {Number} [options.reconnect.maxAttempts] : the number of attempts before giving up and exiting the process,
+ * default to Infinity
+ * @param {Object} [options.codecs] : custom codecs by content type, see lib/codecs.js.
+ * JSON, plain text and binary (application/octet-stream) codecs are built-in.
+ * @param {Number} [options.rpcTimeout] : the time in ms waited for the reply to a request, default to 30000
+ * @param {Boolean|Object} [options.outbox] : buffer the messages published while no channel is available,
+ * and publish them in order once a channel is available again. When the first connection fails, the
+ * client is returned anyway, and connects in the background with the `options.reconnect` delays: the
+ * queues, topologies and consumers set up meanwhile are recorded, and applied once it is connected.
+ * @param {Number} [options.outbox.maxSize] : the maximum number of buffered messages, default to 1000
+ * @param {String} [options.outbox.overflow] : what to do when the outbox is full: 'reject' the new message,
+ * 'drop-oldest' buffered message, or 'block' until there is room, default to 'reject'
+ * @param {String} [options.outbox.spoolFile] : the path of an append-only file where buffered messages are
+ * spooled, so that they survive a process restart
+ * @param {Number} [options.drainTimeout] : the time in ms waited for the messages being handled
+ * when draining the client, default to 30000
+ * @param {Boolean} [options.drainOnSigterm] : drain the client, then exit the process, on SIGTERM
+ * @param {String} [options.appId] : the `appId` property of published messages, default to the name of
+ * the package run by npm, if any
+ * @param {Object} [options.tracer] : the tracer creating a span per published and handled message, and
+ * propagating the trace context in the message headers, see lib/tracing.js. Default to a no-op one.
+ * @param {Object} [options.metrics] : the options of the metrics registry, see lib/metrics.js
+ * @param {Array} [options.metrics.buckets] : the upper bounds in seconds of the histogram buckets
+ * @param {Function} [options.classifyError] : the default `classifyError` hook of the consumers, see consume
  */
 function* createClient(rabbitmqUrl, options) {
   options = options || {};
   options.heartbeat = options.heartbeat || DEFAULT_HEARTBEAT;
   options.useConfirmChannel = options.useConfirmChannel || false;
+  options.confirmTimeout = options.confirmTimeout || DEFAULT_CONFIRM_TIMEOUT;
+  options.rpcTimeout = options.rpcTimeout || DEFAULT_RPC_TIMEOUT;
+  options.drainTimeout = options.drainTimeout || DEFAULT_DRAIN_TIMEOUT;
+  options.appId = options.appId || process.env.npm_package_name;
 
-  const parsedurl = url.parse(rabbitmqUrl);
-  options.servername = parsedurl.hostname;
+  const urls = parseUrls(rabbitmqUrl);
+  options.hostStrategy = checkHostStrategy(options.hostStrategy);
+  // The url of the host the client is, or was last, connected to
+  let currentUrl = null;
 
   options.processExitCleanupTimeout = options.processExitCleanupTimeout || 200;
   options.processExitTimeout = options.processExitTimeout || 0;
 
-  const connection = yield amqplib.connect(rabbitmqUrl, options);
-  const channel = yield (options.useConfirmChannel
-    ? connection.createConfirmChannel()
-    : connection.createChannel());
+  options.reconnect = options.reconnect
+    ? Object.assign({}, DEFAULT_RECONNECT_OPTIONS, options.reconnect === true ? {} : options.reconnect)
+    : false;
+  const handleConnectionClose = options.reconnect
+    ? handleReconnectOnConnectionClose
+    : handleExitOnConnectionClose;
+
+  const codecs = createCodecs(options.codecs);
+  const envelopeDefaults = options.appId ? { appId: options.appId } : {};
+  const tracer = options.tracer || noopTracer;
+  const metrics = createMetrics(options.metrics);
+  const schemas = createSchemaRegistry();
+  const publishMiddlewares = [];
+  const runPublishMiddlewares = compose(publishMiddlewares);
+  const outbox = options.outbox
+    ? createOutbox(options.outbox === true ? {} : options.outbox, {
+      send: entry => publishOnChannel(entry.exchange, entry.routingKey, entry.content, entry.opts),
+      isAvailable: () => busClient.publishChannel !== null
+    })
+    : null;
+
+  // Everything needed to restore the client state after a reconnection: the functions asserting the
+  // topology again, and the consumers
+  const topology = [];
+  const consumers = [];
+  let closed = false;
+  let exiting = false;
+  let draining = null;
+  // The delay before the next reconnection attempt, cut short by close
+  let reconnectDelay = null;
+  // Resolved once every delivered message is settled
+  const settledWaiters = [];
+
+  // Requests waiting for their reply, by correlation id, and the consumer of their replies
+  const pendingRequests = new Map();
+  const replyConsumer = { channel: null, ready: null };
 
   const busClient = Object.assign(Object.create(EventEmitter.prototype), {
-    channel,
-    connection,
+    channel: null,
+    publishChannel: null,
+    connection: null,
+    currentHost: null,
+    schemas,
+    metrics,
+    registerSchema: schemas.register,
     setupQueue,
+    applyTopology,
     consume,
+    consumeBatch,
     listen,
     publish,
+    publishMany,
+    publishEncoded,
+    usePublish,
+    request,
+    reply,
+    getStats,
+    getMetrics: metrics.snapshot,
+    drain,
     close: co.wrap(function* close(forceClose = false) {
+      closed = true;
+      process.removeListener('SIGTERM', handleSigterm);
+      if (reconnectDelay !== null) {
+        clearTimeout(reconnectDelay.timer);
+        reconnectDelay.resume();
+      }
+      if (outbox) outbox.close();
+      rejectPendingRequests(new Error('Client was closed before the reply was received'));
+      for (const consumer of consumers) {
+        // The messages of a partial batch are redelivered
+        if (consumer.batch) clearTimeout(consumer.batch.timer);
+        if (consumer.dedicatedChannel) yield closeChannelQuietly(consumer.dedicatedChannel);
+      }
+      if (this.publishChannel !== null) {
+        yield closeChannelQuietly(this.publishChannel);
+        this.publishChannel = null;
+      }
       if (this.channel !== null) {
         yield this.channel.close();
         this.channel = null;
       }
       if (this.connection !== null) {
-        this.connection.removeListener('close', handleExitOnConnectionClose);
+        this.connection.removeListener('close', handleConnectionClose);
         yield this.connection.close();
         this.connection = null;
       }
@@ -64,10 +199,191 @@ function* createClient(rabbitmqUrl, options) {
     })
   });
 
-  busClient.connection.on('close', handleExitOnConnectionClose);
+  try {
+    yield connect();
+    flushOutbox();
+  } catch (err) {
+    // With an outbox, a client of a broker that is not started yet buffers the messages published
+    // meanwhile, and connects in the background
+    if (!outbox) throw err;
+    logger.warn({ err }, '[client#createClient] Client could not connect, connecting in the background');
+    connectInBackground(options.reconnect || DEFAULT_RECONNECT_OPTIONS);
+  }
+  if (options.drainOnSigterm) process.once('SIGTERM', handleSigterm);
 
   return busClient;
 
+  /**
+   * Open the connection, the main channel (for the topology and the consumers) and the publish channel,
+   * and attach them to the client. The hosts are tried in the order of `options.hostStrategy`, until
+   * one of them is connected to.
+   *
+   * @returns {void}
+   */
+  function* connect() {
+    let lastError = null;
+    for (const hostUrl of getConnectionOrder(urls, options.hostStrategy, currentUrl)) {
+      try {
+        yield connectTo(hostUrl);
+        return;
+      } catch (err) {
+        lastError = err;
+        if (urls.length > 1) {
+          logger.warn({ err, host: describeHost(hostUrl).host }, '[client#connect] Host could not be connected to');
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Connect to a host, open the channels and attach them to the client.
+   *
+   * @param {String} hostUrl : the url of the host
+   * @returns {void}
+   */
+  function* connectTo(hostUrl) {
+    const transport = memory.isMemoryUrl(hostUrl) ? memory : amqplib;
+    const host = describeHost(hostUrl);
+    // The TLS servername is the one of the host connected to
+    const connection = yield transport.connect(hostUrl, Object.assign({}, options, { servername: host.hostname }));
+    try {
+      busClient.channel = yield openChannel(connection, 'main');
+      busClient.publishChannel = yield openChannel(connection, 'publish');
+    } catch (err) {
+      busClient.channel = null;
+      busClient.publishChannel = null;
+      yield closeQuietly(connection);
+      throw err;
+    }
+    currentUrl = hostUrl;
+    busClient.currentHost = host.host;
+    busClient.connection = connection;
+    busClient.connection.on('close', handleConnectionClose);
+    if (options.reconnect) {
+      // amqplib emits connection errors right before closing the connection,
+      // they must be listened to for the process not to crash.
+      busClient.connection.on('error', err => {
+        logger.warn({ err }, '[client#connect] Connection error');
+      });
+    }
+    watchChannel(busClient.channel, { channel: 'main' }, recoverMainChannel);
+    watchChannel(busClient.publishChannel, { channel: 'publish' }, recoverPublishChannel);
+  }
+
+  /**
+   * Open a channel, a confirm one with `options.useConfirmChannel` unless it is a consumer channel.
+   * amqplib emits channel errors right before closing the channel: they are logged and emitted as
+   * `channel_error` events, for the process not to crash.
+   *
+   * @param {Object} connection : the connection
+   * @param {String} role : 'main', 'publish' or 'consumer'
+   * @param {String} [queue] : the queue of a consumer channel
+   * @returns {Object} the channel
+   */
+  function* openChannel(connection, role, queue) {
+    const channel = yield (options.useConfirmChannel && role !== 'consumer'
+      ? connection.createConfirmChannel()
+      : connection.createChannel());
+    channel.on('error', err => {
+      logger.warn({ err, channel: role, queue }, '[client#openChannel] Channel error');
+      busClient.emit('channel_error', err, { channel: role, queue });
+    });
+    return channel;
+  }
+
+  /**
+   * Re-create a channel when it is closed while its connection is open, e.g. by the broker after a failed
+   * operation. The client emits `channel_closed`, then `channel_recreated` once the channel is restored,
+   * or `channel_error` if it could not be.
+   *
+   * @param {Object} channel : the channel
+   * @param {Object} metadata : the `channel` role, and the `queue` of a consumer channel
+   * @param {Function} recover : returns a generator re-creating the channel
+   * @returns {void}
+   */
+  function watchChannel(channel, metadata, recover) {
+    const connection = busClient.connection;
+    channel.once('close', () => {
+      if (busClient.channel === channel) busClient.channel = null;
+      if (busClient.publishChannel === channel) busClient.publishChannel = null;
+      // A channel closed with its connection is restored by the reconnection, if any: the connection
+      // emits its own close event right after the one of its channels
+      setImmediate(() => {
+        if (closed || exiting || draining || busClient.connection !== connection) return;
+        logger.warn(metadata, '[client#watchChannel] Channel was closed, re-creating it');
+        busClient.emit('channel_closed', metadata);
+        co(recover).then(() => {
+          logger.info(metadata, '[client#watchChannel] Channel re-created');
+          busClient.emit('channel_recreated', metadata);
+        }, err => {
+          logger.error(Object.assign({ err }, metadata), '[client#watchChannel] Channel could not be re-created');
+          busClient.emit('channel_error', err, metadata);
+        });
+      });
+    });
+  }
+
+  /**
+   * Re-create the main channel, then assert the topology again and restart the consumers that
+   * have no channel of their own.
+   *
+   * @returns {void}
+   */
+  function* recoverMainChannel() {
+    const channel = yield openChannel(busClient.connection, 'main');
+    busClient.channel = channel;
+    try {
+      yield restore(consumer => consumer.dedicatedChannel === null);
+    } catch (err) {
+      busClient.channel = null;
+      yield closeChannelQuietly(channel);
+      throw err;
+    }
+    watchChannel(channel, { channel: 'main' }, recoverMainChannel);
+  }
+
+  /**
+   * Re-create the publish channel, then publish the messages buffered in the outbox meanwhile.
+   * The replies to requests are consumed again on the next request.
+   *
+   * @returns {void}
+   */
+  function* recoverPublishChannel() {
+    busClient.publishChannel = yield openChannel(busClient.connection, 'publish');
+    watchChannel(busClient.publishChannel, { channel: 'publish' }, recoverPublishChannel);
+    flushOutbox();
+  }
+
+  /**
+   * Close a connection, ignoring any error as it may already be closed.
+   *
+   * @param {Object} connection : the connection to close
+   * @returns {void}
+   */
+  function* closeQuietly(connection) {
+    connection.removeListener('close', handleConnectionClose);
+    try {
+      yield connection.close();
+    } catch (err) {
+      logger.debug({ err }, '[client#closeQuietly] Connection was already closed');
+    }
+  }
+
+  /**
+   * Close a channel, ignoring any error as it may already be closed with its connection.
+   *
+   * @param {Object} channel : the channel to close
+   * @returns {void}
+   */
+  function* closeChannelQuietly(channel) {
+    try {
+      yield channel.close();
+    } catch (err) {
+      logger.debug({ err }, '[client#closeChannelQuietly] Channel was already closed');
+    }
+  }
+
   /**
    * Handle the close event from the connection by cleaning amqp resources & exiting the process,
    * as restart is handled by the instance orchestrator.
@@ -75,6 +391,7 @@ function* createClient(rabbitmqUrl, options) {
    * @returns {void}
    */
   function handleExitOnConnectionClose() {
+    exiting = true;
     const timeoutClearToken = setTimeout(timeoutHandler, options.processExitCleanupTimeout);
 
     function timeoutHandler() {
@@ -86,6 +403,100 @@ function* createClient(rabbitmqUrl, options) {
     busClient.emit('close_cleanup');
   }
 
+  /**
+   * Handle the close event from the connection by reconnecting with an exponential backoff,
+   * then restoring the topology and the consumers.
+   * When all attempts fail, fallback on exiting the process.
+   * The client emits `reconnecting` before each attempt and `reconnected` once it is done.
+   * @returns {void}
+   */
+  function handleReconnectOnConnectionClose() {
+    busClient.channel = null;
+    busClient.publishChannel = null;
+    busClient.connection = null;
+    connectInBackground(options.reconnect);
+  }
+
+  /**
+   * Connect with an exponential backoff, see reconnect, falling back on exiting the process when all
+   * attempts fail.
+   *
+   * @param {Object} reconnectOptions : the delays and the number of attempts, see `options.reconnect`
+   * @returns {void}
+   */
+  function connectInBackground(reconnectOptions) {
+    co(reconnect, reconnectOptions).catch(err => {
+      logger.error({ err }, '[client#connectInBackground] Reconnection failed');
+      handleExitOnConnectionClose();
+    });
+  }
+
+  function* reconnect(reconnectOptions) {
+    let lastError = null;
+    for (let attempt = 1; attempt <= reconnectOptions.maxAttempts; attempt += 1) {
+      const delay = Math.min(
+        reconnectOptions.initialDelay * Math.pow(reconnectOptions.factor, attempt - 1),
+        reconnectOptions.maxDelay
+      );
+      busClient.emit('reconnecting', { attempt, delay });
+      yield cb => {
+        reconnectDelay = { timer: setTimeout(cb, delay), resume: cb };
+      };
+      reconnectDelay = null;
+      if (closed) return undefined;
+
+      try {
+        yield connect();
+        // The client was closed while connecting, the new connection is not adopted
+        if (closed) return yield discardConnection();
+        yield restore();
+        if (closed) return yield discardConnection();
+        flushOutbox();
+        logger.info({ attempt, host: busClient.currentHost }, '[client#reconnect] Client reconnected');
+        busClient.emit('reconnected', { attempt });
+        return undefined;
+      } catch (err) {
+        lastError = err;
+        yield discardConnection();
+        if (closed) return undefined;
+        logger.warn({ err, attempt }, '[client#reconnect] Reconnection attempt failed');
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Detach the connection of the client and its channels, and close it.
+   *
+   * @returns {void}
+   */
+  function* discardConnection() {
+    const connection = busClient.connection;
+    busClient.channel = null;
+    busClient.publishChannel = null;
+    busClient.connection = null;
+    if (connection !== null) yield closeQuietly(connection);
+  }
+
+  /**
+   * Assert again every exchange, queue and binding set up through setupQueue or applyTopology,
+   * and restart the consumers, on the current channel.
+   *
+   * @param {Function} [isRestarted] : called with each consumer, returns whether to restart it,
+   * default to restarting every consumer
+   * @returns {void}
+   */
+  function* restore(isRestarted) {
+    for (const assertAgain of topology) {
+      yield assertAgain();
+    }
+    // Consumers cancelled by a drain are not restarted
+    if (draining) return;
+    for (const consumer of consumers) {
+      if (!isRestarted || isRestarted(consumer)) yield startConsumer(consumer);
+    }
+  }
+
   /**
    * Check that exchange and queue are created and bind exchange to queue with rooting key.
    *
@@ -98,47 +509,774 @@ function* createClient(rabbitmqUrl, options) {
    * 'topic'
    * @param {Object} [opts.queueOptions] : options that you want to pass to your queue when
    * creating it.
+   * @param {Number} [opts.maxRetries] : when set, the dead-letter exchange and queue are asserted
+   * and bound too, see consume.
+   * @param {Object} [opts.retryPolicy] : when set, the dead-letter exchange and queue, and the wait queues
+   * of the delayed retries are asserted too, see consume.
+   * @param {String} [opts.deadLetterExchange] : the dead-letter exchange, default to '<queue>.dead-letter'
+   * @param {String} [opts.deadLetterQueue] : the dead-letter queue, default to '<queue>.dead-letter'
+   * @param {String} [opts.parkingQueue] : when set, the queue where a listener parks invalid messages
+   * is asserted too.
+   * Without connection, e.g. while the client connects in the background, the queue is only recorded, and
+   * asserted once the client is connected, see restore.
    */
   function* setupQueue(exchange, queue, rootingKey, opts) {
+    if (isConnected()) yield assertTopology(exchange, queue, rootingKey, opts);
+    topology.push(() => assertTopology(exchange, queue, rootingKey, opts));
+  }
+
+  /**
+   * @returns {Boolean} whether the client has a connection, else the topology and the consumers are only
+   * recorded, to be restored once it is connected
+   */
+  function isConnected() {
+    return busClient.connection !== null;
+  }
+
+  /**
+   * Assert every exchange, queue and binding of a topology, see lib/topology.js, or only check it.
+   *
+   * @name  applyTopology
+   * @param {Object|String} definition : the topology, or the path of a JSON file describing it
+   * @param {Object} [opts] : various options
+   * @param {Boolean} [opts.dryRun] : check the topology without changing it, on channels of their own
+   * as the broker closes the channel of a failed check
+   * @returns {Object|undefined} with `opts.dryRun`, the report of the missing and different exchanges,
+   * queues and bindings, see checkTopology. AMQP cannot tell whether a binding exists: the bindings
+   * between an existing exchange and an existing destination are reported `unverifiable`, never as
+   * present, so the report of a topology with such bindings is not `ok`. Without connection, the topology
+   * is only recorded, see setupQueue, and a dry-run is rejected.
+   */
+  function* applyTopology(definition, opts) {
+    const parsed = loadTopology(definition);
+    if (opts && opts.dryRun) {
+      if (!isConnected()) throw new Error('The client is not connected, the topology cannot be checked');
+      return yield checkTopology(() => busClient.connection.createChannel(), parsed);
+    }
+    if (isConnected()) yield declareTopology(busClient.channel, parsed);
+    topology.push(() => declareTopology(busClient.channel, parsed));
+    return undefined;
+  }
+
+  function* assertTopology(exchange, queue, rootingKey, opts) {
     opts = opts || {};
     yield busClient.channel.assertExchange(exchange, opts.exchangeType || DEFAULT_EXCHANGE_TYPE);
     yield busClient.channel.assertQueue(queue, opts.queueOptions || {});
     yield busClient.channel.bindQueue(queue, exchange, rootingKey);
+
+    const deadLetter = retry.getDeadLetter(queue, opts);
+    if (deadLetter) {
+      yield busClient.channel.assertExchange(deadLetter.exchange, DEFAULT_EXCHANGE_TYPE);
+      yield busClient.channel.assertQueue(deadLetter.queue, {});
+      yield busClient.channel.bindQueue(deadLetter.queue, deadLetter.exchange, queue);
+    }
+    for (const waitQueue of retry.getWaitQueues(queue, opts)) {
+      yield busClient.channel.assertQueue(waitQueue.queue, waitQueue.options);
+    }
+    if (opts.parkingQueue) {
+      yield busClient.channel.assertQueue(opts.parkingQueue, {});
+    }
   }
 
   /**
    * Pass message content from messages received on queue to handler.
    * Acknowledge message if handling is succesfull.
    * Requeue message if handling throws an error.
+   * When `opts.maxRetries` is set, a failed message is republished to the queue with its attempt count
+   * in the `x-retry-count` header, and sent with the error in its headers to the dead-letter exchange
+   * once it has been retried `opts.maxRetries` times.
+   * When `opts.retryPolicy` is set, a failed message is republished to a wait queue instead, whose TTL
+   * is the retry delay, and which dead-letters it back to the queue once the delay is expired.
    *
    * @name  consume
    * @param {String} queue : the queue name
    * @param {Function} handler : should be yieldable,
-   * will be called with message.content and message.fields.
+   * will be called with message.content, message.fields and message.properties.
    * It should wrap its logic within a try...catch to treat errors that are thrown
    * and should only throw error when the message needs to be requeued.
+   * Its fourth argument has `ack()` and `nack([{ requeue }])` functions, to settle the message that way
+   * once it is handled, whatever the outcome of the handler, and the `signal` aborted on timeout.
+   * @param {Object} [opts] : various options
+   * @param {Number} [opts.maxRetries] : the number of retries before dead-lettering a message
+   * @param {Object} [opts.retryPolicy] : delay the retries with an exponential backoff
+   * @param {Number} [opts.retryPolicy.initialDelay] : the delay in ms before the first retry, default to 1000
+   * @param {Number} [opts.retryPolicy.multiplier] : the factor applied to the delay after each retry, default to 2
+   * @param {Number} [opts.retryPolicy.maxDelay] : the maximum delay in ms, default to 60000
+   * @param {Number} [opts.retryPolicy.maxAttempts] : the number of attempts, first one included, before
+   * dead-lettering a message, default to 5. It overrides `opts.maxRetries`.
+   * @param {String} [opts.deadLetterExchange] : the dead-letter exchange, default to '<queue>.dead-letter'
+   * @param {Number} [opts.prefetch] : the maximum number of unacked messages delivered to the consumer,
+   * default to `opts.concurrency`. The consumer then has its own channel, so that the limits of the
+   * queues are independent.
+   * @param {Number} [opts.concurrency] : the maximum number of messages handled at the same time,
+   * the other delivered messages wait for their turn
+   * @param {Number|Function} [opts.timeout] : the time in ms given to the handler to settle, or a function
+   * called with the message content, fields and properties that returns it. Once expired, the signal
+   * given to the handler is aborted, and the message is settled according to `opts.timeoutPolicy`.
+   * @param {String} [opts.timeoutPolicy] : 'retry' the message as a failed one, 'requeue' it, 'nack' it
+   * without requeuing it, or send it to the 'dead-letter' exchange, default to 'retry'
+   * @param {Function} [opts.classifyError] : called with the error thrown by the handler, and the message
+   * content, fields and properties, returns the outcome of the failed message, see lib/errors.js, or
+   * undefined to retry it. The errors of lib/errors.js have their own outcome, whatever the hook.
    */
-  function* consume(queue, handler) {
-    yield busClient.channel.consume(queue, co.wrap(function* _consumeMessage(message) {
-      const contentString = message.content.toString();
-      let content;
+  function* consume(queue, handler, opts) {
+    if (opts && opts.timeoutPolicy && TIMEOUT_POLICIES.indexOf(opts.timeoutPolicy) === -1) {
+      throw new Error(`Unknown timeout policy: ${opts.timeoutPolicy}`);
+    }
+    const consumer = {
+      queue,
+      handler,
+      opts: opts || {},
+      channel: null,
+      consumerTag: null,
+      inFlight: 0,
+      waiting: [],
+      unsettled: new Set()
+    };
+    // Without connection, the consumer is started once the client is connected, see restore
+    if (isConnected()) yield startConsumer(consumer);
+    consumers.push(consumer);
+  }
 
+  /**
+   * Pass the messages received on queue to handler by batches: the delivered messages are collected
+   * until there are `opts.batchSize` of them, or until `opts.batchTimeout` ms after the first one,
+   * then the handler is called with all of them. Batches are handled one at a time, in delivery order.
+   * A batch whose handler succeeds is acked at once, with `allUpTo`. When the handler throws, each
+   * message of the batch fails with the error, see consume, and a batch whose messages are all requeued,
+   * or all nacked, is nacked at once. The handler can also resolve with a result for each message, in
+   * their order: an Error fails its message alone, anything else acks it.
+   * On drain, the partial batch being collected is handled right away.
+   *
+   * @name  consumeBatch
+   * @param {String} queue : the queue name
+   * @param {Function} handler : should be yieldable, will be called with the messages of a batch, an
+   * array of `{ content, fields, properties }`
+   * @param {Object} [opts] : various options, see consume, except `concurrency` and `timeout`
+   * @param {Number} [opts.batchSize] : the maximum number of messages of a batch, default to 100
+   * @param {Number} [opts.batchTimeout] : the time in ms waited for a batch to be full, default to 1000
+   * @param {Number} [opts.prefetch] : the maximum number of unacked messages delivered to the consumer,
+   * at least the batch size so that a batch can be full, default to it. The consumer has its own channel.
+   */
+  function* consumeBatch(queue, handler, opts) {
+    opts = opts || {};
+    const size = opts.batchSize || DEFAULT_BATCH_SIZE;
+    const prefetch = opts.prefetch || size;
+    if (prefetch < size) throw new Error('The prefetch should be at least the batch size');
+    const consumer = {
+      queue,
+      handler,
+      opts: Object.assign({}, opts, { prefetch }),
+      channel: null,
+      consumerTag: null,
+      inFlight: 0,
+      waiting: [],
+      unsettled: new Set(),
+      batch: {
+        size,
+        timeout: opts.batchTimeout || DEFAULT_BATCH_TIMEOUT,
+        pending: [],
+        timer: null,
+        running: Promise.resolve(),
+        flush: () => Promise.resolve()
+      }
+    };
+    if (isConnected()) yield startConsumer(consumer);
+    consumers.push(consumer);
+  }
+
+  function* startConsumer(consumer) {
+    if (consumer.batch) return yield startBatchConsumer(consumer);
+
+    const queue = consumer.queue;
+    const handler = wrap(consumer.handler);
+    const opts = consumer.opts;
+    const prefetch = opts.prefetch || opts.concurrency;
+    consumer.dedicatedChannel = prefetch ? yield createConsumerChannel(queue, prefetch) : null;
+    // Messages must be settled on the channel they were delivered on
+    const channel = consumer.dedicatedChannel || busClient.channel;
+    consumer.channel = channel;
+
+    const consumeMessage = co.wrap(function* _consumeMessage(message) {
+      const fields = retry.getOriginalFields(message);
+      const labels = getConsumeLabels(queue, fields);
+      const decoded = decodeMessage(queue, message);
+      if (!decoded) return ackMessage(channel, queue, message);
+      const content = decoded.content;
+
+      const context = messageContext.fromProperties(message.properties);
+      const cancellation = createCancellation();
+      let decision = null;
+      const delivery = {
+        signal: cancellation.signal,
+        publish: (exchange, rootingKey, published, publishOpts) =>
+          publishWithin(context, exchange, rootingKey, published, publishOpts),
+        ack: () => {
+          decision = { ack: true };
+        },
+        nack: nackOpts => {
+          decision = { ack: false, requeue: !nackOpts || nackOpts.requeue !== false };
+        }
+      };
+      const timeout = typeof opts.timeout === 'function'
+        ? opts.timeout(content, fields, message.properties)
+        : opts.timeout;
+      const timeoutError = new Error('Handler did not settle in time');
+      // The span is the child of the one of the publishing, extracted from the headers
+      const span = tracer.startSpan(`${queue} process`, {
+        kind: 'consumer',
+        carrier: message.properties.headers || {},
+        attributes: getAttributes(fields.exchange, fields.routingKey, message.properties)
+      });
+      const start = process.hrtime();
       try {
-        content = JSON.parse(contentString);
+        const handled = tracer.withSpan(span, () =>
+          messageContext.run(context, () => handler(content, fields, message.properties, delivery)));
+        yield timeout ? withTimeout(Promise.resolve(handled), timeout, timeoutError) : handled;
+        tracer.endSpan(span);
+        metrics.observe('handlerDuration', labels, secondsSince(start));
       } catch (err) {
-        // https://nodejs.org/api/events.html#events_error_events
-        busClient.emit('consume_error', new Error('Content is not a valid JSON'), { err, queue, message });
-        return busClient.channel.ack(message);
+        tracer.endSpan(span, err);
+        metrics.observe('handlerDuration', labels, secondsSince(start));
+        // The message was nacked by a drain that timed out
+        if (!consumer.unsettled.has(message)) return null;
+        if (err === timeoutError) {
+          cancellation.abort(timeoutError);
+          return settleTimedOut(channel, queue, message, timeout, opts);
+        }
+        const outcome = decision
+          ? getDecisionOutcome(decision)
+          : resolveOutcome(queue, message, classifyError(err, content, fields, message.properties, opts), opts, err);
+        emitConsumeError(new Error('Consumer handler failed'), { err, queue, message, outcome });
+        if (!decision) return settleFailed(channel, queue, message, err, outcome, opts);
       }
+      if (!consumer.unsettled.has(message)) return null;
+      if (decision && !decision.ack) return nackMessage(channel, queue, message, decision.requeue);
+      return ackMessage(channel, queue, message);
+    });
+
+    const consumed = yield channel.consume(queue, message => {
+      // The consumer was cancelled by the broker
+      if (message === null) return null;
+
+      consumer.unsettled.add(message);
+      return runLimited(consumer, () => (consumer.unsettled.has(message) ? consumeMessage(message) : null))
+        .catch(err => {
+          // The channel was closed while the message was handled, it will be redelivered
+          logger.warn({ err, queue }, '[client#consume] Message could not be settled');
+        })
+        .then(() => {
+          consumer.unsettled.delete(message);
+          if (countUnsettled() === 0) settledWaiters.splice(0).forEach(resolve => resolve());
+        });
+    });
+    consumer.consumerTag = consumed.consumerTag;
+    if (consumer.dedicatedChannel) {
+      watchChannel(channel, { channel: 'consumer', queue }, () => startConsumer(consumer));
+    }
+    return undefined;
+  }
+
+  /**
+   * Start a consumer of batches, see consumeBatch, on a channel of its own. The messages of a partial
+   * batch collected on a previous channel, now closed, are dropped as they are redelivered.
+   *
+   * @param {Object} consumer : the consumer
+   * @returns {void}
+   */
+  function* startBatchConsumer(consumer) {
+    const queue = consumer.queue;
+    const handler = wrap(consumer.handler);
+    const batch = consumer.batch;
+    clearTimeout(batch.timer);
+    batch.timer = null;
+    batch.pending.splice(0).forEach(message => consumer.unsettled.delete(message));
+
+    consumer.dedicatedChannel = yield createConsumerChannel(queue, consumer.opts.prefetch);
+    const channel = consumer.dedicatedChannel;
+    consumer.channel = channel;
+
+    batch.flush = () => {
+      clearTimeout(batch.timer);
+      batch.timer = null;
+      const messages = batch.pending.splice(0);
+      if (messages.length === 0) return batch.running;
+
+      batch.running = batch.running
+        .then(() => co(handleBatch(consumer, channel, handler, messages)))
+        .catch(err => {
+          // The channel was closed while the batch was handled, it will be redelivered
+          logger.warn({ err, queue }, '[client#consumeBatch] Batch could not be settled');
+        })
+        .then(() => {
+          messages.forEach(message => consumer.unsettled.delete(message));
+          if (countUnsettled() === 0) settledWaiters.splice(0).forEach(resolve => resolve());
+        });
+      return batch.running;
+    };
+
+    const consumed = yield channel.consume(queue, message => {
+      // The consumer was cancelled by the broker
+      if (message === null) return batch.flush();
+
+      consumer.unsettled.add(message);
+      batch.pending.push(message);
+      if (batch.pending.length >= batch.size) return batch.flush();
+      if (batch.timer === null) batch.timer = setTimeout(batch.flush, batch.timeout);
+      return null;
+    });
+    consumer.consumerTag = consumed.consumerTag;
+    watchChannel(channel, { channel: 'consumer', queue }, () => startConsumer(consumer));
+  }
+
+  /**
+   * Call the handler of a consumer with a batch of messages, then settle them, see consumeBatch.
+   * The messages that cannot be decoded are not given to the handler, and are acked.
+   *
+   * @param {Object} consumer : the consumer
+   * @param {Object} channel : the channel the messages were delivered on
+   * @param {Function} handler : the handler, wrapped
+   * @param {Array} messages : the messages, in delivery order
+   * @returns {Promise|void} see settleBatch
+   */
+  function* handleBatch(consumer, channel, handler, messages) {
+    const queue = consumer.queue;
+    const opts = consumer.opts;
+    const outcomes = messages.map(() => 'discard');
+    const errors = messages.map(() => null);
+    const handled = [];
+    messages.forEach((message, index) => {
+      const decoded = decodeMessage(queue, message);
+      if (!decoded) return;
+      handled.push({
+        index,
+        item: { content: decoded.content, fields: retry.getOriginalFields(message), properties: message.properties }
+      });
+    });
 
+    let results = [];
+    if (handled.length > 0) {
+      consumer.inFlight = handled.length;
       try {
-        yield handler(content, message.fields);
+        results = yield getBatchResults(handler, handled.map(entry => entry.item));
+      } finally {
+        consumer.inFlight = 0;
+      }
+    }
+    // The messages were nacked by a drain that timed out
+    if (messages.some(message => !consumer.unsettled.has(message))) return undefined;
+
+    handled.forEach((entry, position) => {
+      const err = results[position];
+      const message = messages[entry.index];
+      if (!(err instanceof Error)) {
+        outcomes[entry.index] = 'ack';
+        return;
+      }
+      const item = entry.item;
+      const classified = classifyError(err, item.content, item.fields, item.properties, opts);
+      const outcome = resolveOutcome(queue, message, classified, opts, err);
+      emitConsumeError(new Error('Consumer batch handler failed'), { err, queue, message, outcome });
+      outcomes[entry.index] = outcome;
+      errors[entry.index] = err;
+    });
+    return settleBatch(channel, queue, messages, outcomes, errors, opts);
+  }
+
+  /**
+   * @param {Function} handler : the batch handler, wrapped
+   * @param {Array} items : the `content`, `fields` and `properties` of the messages
+   * @returns {Promise} resolved with the result of each message: the error thrown by the handler for
+   * each of them, else the results it resolved with, if any
+   */
+  function getBatchResults(handler, items) {
+    return Promise.resolve()
+      .then(() => handler(items))
+      .then(results => {
+        if (!Array.isArray(results)) return items.map(() => undefined);
+        if (results.length === items.length) return results;
+        const err = new Error(`Batch handler resolved with ${results.length} results for ${items.length} messages`);
+        return items.map(() => err);
+      }, err => items.map(() => err));
+  }
+
+  /**
+   * Count a consumed message and decode its content with the codec of its content type.
+   * A message that cannot be decoded is not handled: a `consume_error` event is emitted, and the caller
+   * should ack it.
+   *
+   * @param {String} queue : the queue name
+   * @param {Object} message : the message
+   * @returns {Object|null} the decoded `content`, or null if the message cannot be decoded
+   */
+  function decodeMessage(queue, message) {
+    const contentType = message.properties.contentType;
+    const codec = codecs.get(contentType);
+    const labels = getConsumeLabels(queue, retry.getOriginalFields(message));
+
+    metrics.increment('consumed', labels);
+    if (!codec) {
+      const err = new Error(`No codec registered for content type ${contentType}`);
+      emitConsumeError(new Error('Content type is not supported'), { err, queue, message, outcome: 'discard' });
+      return null;
+    }
+    try {
+      return { content: codec.decode(message.content) };
+    } catch (err) {
+      const isJson = codec === codecs.get(JSON_CONTENT_TYPE);
+      if (isJson) metrics.increment('invalidJson', labels);
+      emitConsumeError(new Error(isJson ? 'Content is not a valid JSON' : 'Content could not be decoded'), {
+        err,
+        queue,
+        message,
+        outcome: 'discard'
+      });
+      return null;
+    }
+  }
+
+  /**
+   * @param {String} queue : the queue name
+   * @param {Object} fields : the original fields of a message, see retry.getOriginalFields
+   * @returns {Object} the metric labels of a consumed message
+   */
+  function getConsumeLabels(queue, fields) {
+    return { exchange: fields.exchange, queue, routing_key: fields.routingKey };
+  }
+
+  /**
+   * Emit a `consume_error` event and count it.
+   *
+   * @param {Error} error : the error emitted
+   * @param {Object} metadata : the `err`, `queue` and `message`
+   * @returns {void}
+   */
+  function emitConsumeError(error, metadata) {
+    metrics.increment('consumeErrors', getConsumeLabels(metadata.queue, retry.getOriginalFields(metadata.message)));
+    // https://nodejs.org/api/events.html#events_error_events
+    busClient.emit('consume_error', error, metadata);
+  }
+
+  /**
+   * Ack a message and count it.
+   *
+   * @param {Object} channel : the channel the message was delivered on
+   * @param {String} queue : the queue name
+   * @param {Object} message : the message
+   * @returns {void}
+   */
+  function ackMessage(channel, queue, message) {
+    channel.ack(message);
+    metrics.increment('acked', getConsumeLabels(queue, retry.getOriginalFields(message)));
+  }
+
+  /**
+   * Nack a message and count it.
+   *
+   * @param {Object} channel : the channel the message was delivered on
+   * @param {String} queue : the queue name
+   * @param {Object} message : the message
+   * @param {Boolean} [requeue] : requeue the message, default to true
+   * @returns {void}
+   */
+  function nackMessage(channel, queue, message, requeue) {
+    channel.nack(message, false, requeue !== false);
+    metrics.increment('nacked', getConsumeLabels(queue, retry.getOriginalFields(message)));
+  }
+
+  function countUnsettled() {
+    return consumers.reduce((count, consumer) => count + consumer.unsettled.size, 0);
+  }
+
+  /**
+   * Stop consuming and close the client once the delivered messages are settled: cancel the consumers
+   * so that no message is delivered anymore, wait for the messages being handled, or waiting for their
+   * turn, to be settled, then close the channel and the connection.
+   * The messages that are not settled within the timeout are nacked, to be redelivered.
+   *
+   * @param {Object} [opts] : various options
+   * @param {Number} [opts.timeout] : the time in ms waited for the messages, default to `options.drainTimeout`
+   * @returns {Promise} resolved once the client is closed
+   */
+  function drain(opts) {
+    if (draining) return draining;
+
+    const timeout = (opts && opts.timeout) || options.drainTimeout;
+    draining = co(function* _drain() {
+      for (const consumer of consumers) {
+        if (consumer.consumerTag === null) continue;
+        try {
+          yield consumer.channel.cancel(consumer.consumerTag);
+        } catch (err) {
+          logger.warn({ err, queue: consumer.queue }, '[client#drain] Consumer could not be cancelled');
+        }
+        // The partial batch is handled without waiting for it to be full
+        if (consumer.batch) consumer.batch.flush();
+      }
+
+      const settled = countUnsettled() === 0
+        ? Promise.resolve()
+        : new Promise(resolve => settledWaiters.push(resolve));
+      try {
+        yield withTimeout(settled, timeout, 'Messages were not settled in time');
       } catch (err) {
-        busClient.emit('consume_error', new Error('Consumer handler failed'), { err, queue, message });
-        return busClient.channel.nack(message);
+        logger.warn({ err, count: countUnsettled() }, '[client#drain] Nacking the messages that are not settled');
+        nackUnsettled();
       }
-      return busClient.channel.ack(message);
+      yield busClient.close();
+    });
+    return draining;
+  }
+
+  function nackUnsettled() {
+    for (const consumer of consumers) {
+      for (const message of consumer.unsettled) {
+        try {
+          nackMessage(consumer.channel, consumer.queue, message);
+        } catch (err) {
+          logger.warn({ err, queue: consumer.queue }, '[client#drain] Message could not be nacked');
+        }
+      }
+      consumer.unsettled.clear();
+    }
+  }
+
+  function handleSigterm() {
+    logger.info('[client#handleSigterm] Received SIGTERM, draining the client before exiting');
+    drain().then(() => process.exit(0), err => {
+      logger.error({ err }, '[client#handleSigterm] Client could not be drained');
+      process.exit(1);
+    });
+  }
+
+  /**
+   * Open a channel for a single consumer, with its own prefetch.
+   *
+   * @param {String} queue : the queue consumed on the channel
+   * @param {Number} prefetch : the maximum number of unacked messages delivered on the channel
+   * @returns {Object} the channel
+   */
+  function* createConsumerChannel(queue, prefetch) {
+    const channel = yield openChannel(busClient.connection, 'consumer', queue);
+    yield channel.prefetch(prefetch);
+    return channel;
+  }
+
+  /**
+   * Run a task once the consumer handles less messages than its concurrency.
+   * Waiting tasks run in their delivery order, as running ones are done.
+   *
+   * @param {Object} consumer : the consumer
+   * @param {Function} task : returns a promise
+   * @returns {Promise} resolved or rejected as the task
+   */
+  function runLimited(consumer, task) {
+    const concurrency = consumer.opts.concurrency;
+    let turn;
+    if (!concurrency || consumer.inFlight < concurrency) {
+      consumer.inFlight += 1;
+      turn = Promise.resolve();
+    } else {
+      turn = new Promise(resolve => consumer.waiting.push(resolve));
+    }
+
+    const release = () => {
+      // The slot is handed over to the next waiting task
+      const next = consumer.waiting.shift();
+      if (next) next();
+      else consumer.inFlight -= 1;
+    };
+    return turn.then(task).then(result => {
+      release();
+      return result;
+    }, err => {
+      release();
+      throw err;
+    });
+  }
+
+  /**
+   * @returns {Object} the `inFlight` and `waiting` messages of all consumers, and the ones of
+   * each consumer with its `queue`, `consumerTag`, `prefetch` and `concurrency`
+   */
+  function getStats() {
+    const stats = consumers.map(consumer => ({
+      queue: consumer.queue,
+      consumerTag: consumer.consumerTag,
+      prefetch: consumer.opts.prefetch || consumer.opts.concurrency || null,
+      concurrency: consumer.opts.concurrency || null,
+      inFlight: consumer.inFlight,
+      waiting: consumer.waiting.length
     }));
+    return {
+      inFlight: stats.reduce((sum, consumer) => sum + consumer.inFlight, 0),
+      waiting: stats.reduce((sum, consumer) => sum + consumer.waiting, 0),
+      consumers: stats
+    };
+  }
+
+  /**
+   * Settle a message whose handler did not settle in time according to the timeout policy:
+   * 'retry' it as a failed message, 'requeue' it, 'nack' it without requeuing it,
+   * or send it to the 'dead-letter' exchange.
+   *
+   * @param {Object} channel : the channel the message was delivered on
+   * @param {String} queue : the queue name
+   * @param {Object} message : the message
+   * @param {Number} timeout : the timeout in ms
+   * @param {Object} opts : the consume options
+   * @returns {void}
+   */
+  function settleTimedOut(channel, queue, message, timeout, opts) {
+    const policy = opts.timeoutPolicy || 'retry';
+    const err = new Error(`Handler did not settle within ${timeout}ms`);
+    logger.warn({ queue, timeout, policy }, '[client#consume] Handler timed out');
+    busClient.emit('handler_timeout', { err, queue, message, timeout, policy });
+    return settleFailed(channel, queue, message, err, resolveOutcome(queue, message, policy, opts, err), opts);
+  }
+
+  /**
+   * @param {Error} err : the error thrown by the handler
+   * @param {*} content : the decoded message content
+   * @param {Object} fields : the message fields
+   * @param {Object} properties : the message properties
+   * @param {Object} opts : the consume options
+   * @returns {String} the outcome of the failed message, see lib/errors.js: the one of the error type,
+   * else the one returned by the `classifyError` hook of the consumer, or of the client, else 'retry'
+   */
+  function classifyError(err, content, fields, properties, opts) {
+    const typed = getErrorOutcome(err);
+    if (typed) return typed;
+    const classify = opts.classifyError || options.classifyError;
+    if (!classify) return DEFAULT_OUTCOME;
+    try {
+      const outcome = classify(err, content, fields, properties);
+      if (outcome === undefined || outcome === null) return DEFAULT_OUTCOME;
+      if (OUTCOMES.indexOf(outcome) !== -1) return outcome;
+      logger.warn({ err, outcome }, '[client#consume] Unknown outcome returned by classifyError, retrying the message');
+    } catch (classifyErr) {
+      logger.warn({ err: classifyErr }, '[client#consume] classifyError failed, retrying the message');
+    }
+    return DEFAULT_OUTCOME;
+  }
+
+  /**
+   * @param {Object} decision : how the handler decided to settle the message, see consume
+   * @returns {String} the outcome of the decision
+   */
+  function getDecisionOutcome(decision) {
+    if (decision.ack) return 'discard';
+    return decision.requeue ? 'requeue' : 'nack';
+  }
+
+  /**
+   * @param {String} queue : the queue name
+   * @param {Object} message : the failed message
+   * @param {String} outcome : the outcome of the failed message
+   * @param {Object} opts : the consume options
+   * @param {Error} [err] : the error of the failed message
+   * @returns {String} the outcome the message is actually settled with: a 'retry' is a 'requeue' when
+   * retries are not bounded, unless the error is a RetryLaterError, and a 'dead-letter' once the message
+   * has no retry left; a 'dead-letter' is a 'nack' when the consumer has no dead-letter exchange
+   */
+  function resolveOutcome(queue, message, outcome, opts, err) {
+    const deadLetter = retry.getDeadLetter(queue, opts);
+    if (outcome === 'retry') {
+      if (!deadLetter || retry.getMaxRetries(opts) === undefined) {
+        return err instanceof RetryLaterError ? 'retry' : 'requeue';
+      }
+      return retry.getRetryCount(message) < retry.getMaxRetries(opts) ? 'retry' : 'dead-letter';
+    }
+    if (outcome === 'dead-letter' && !deadLetter) return 'nack';
+    return outcome;
+  }
+
+  /**
+   * Settle a failed message according to its outcome, see resolveOutcome: republish it with an
+   * incremented retry count, to its queue or to the wait queue of its retry delay, requeue it, nack it
+   * without requeuing it, send it with the error in its headers to the dead-letter exchange, or ack it.
+   * The wait queue of a RetryLaterError is asserted first, as its delay may not be one of the retry policy.
+   *
+   * @param {Object} channel : the channel the message was delivered on
+   * @param {String} queue : the queue name
+   * @param {Object} message : the failed message
+   * @param {Error} err : the error thrown by the handler
+   * @param {String} outcome : the resolved outcome
+   * @param {Object} opts : the consume options
+   * @returns {Promise|void} resolved once the message is settled, when its wait queue is asserted first
+   */
+  function settleFailed(channel, queue, message, err, outcome, opts) {
+    switch (outcome) {
+      case 'requeue':
+        return nackMessage(channel, queue, message, true);
+      case 'nack':
+        return nackMessage(channel, queue, message, false);
+      case 'discard':
+        return ackMessage(channel, queue, message);
+      case 'dead-letter': {
+        const deadLetter = retry.getDeadLetter(queue, opts);
+        logger.warn({ err, queue }, '[client#consume] Sending the message to the dead-letter exchange');
+        channel.publish(deadLetter.exchange, queue, message.content, retry.getDeadLetterProperties(message, err));
+        return ackMessage(channel, queue, message);
+      }
+      default: {
+        const delay = getRetryDelay(message, err, opts);
+        const republish = target => {
+          channel.sendToQueue(target, message.content, retry.getRetryProperties(message));
+          ackMessage(channel, queue, message);
+        };
+        if (delay === undefined) return republish(queue);
+
+        const waitQueue = retry.describeWaitQueue(queue, delay);
+        if (!(err instanceof RetryLaterError)) return republish(waitQueue.queue);
+        return channel.assertQueue(waitQueue.queue, waitQueue.options).then(() => republish(waitQueue.queue));
+      }
+    }
+  }
+
+  /**
+   * @param {Object} message : the failed message
+   * @param {Error} err : the error of the failed message
+   * @param {Object} opts : the consume options
+   * @returns {Number|undefined} the delay in ms before the message is retried: the one of a RetryLaterError,
+   * else the one of the retry policy, else 1000 ms for a RetryLaterError, undefined to retry it right away
+   */
+  function getRetryDelay(message, err, opts) {
+    const policy = retry.getRetryPolicy(opts);
+    const later = err instanceof RetryLaterError;
+    if (later && err.delay !== undefined) return err.delay;
+    if (policy) return retry.getRetryDelay(policy, retry.getRetryCount(message));
+    return later ? DEFAULT_RETRY_LATER_DELAY : undefined;
+  }
+
+  /**
+   * Settle the messages of a batch according to their outcome: at once with `allUpTo` when they are all
+   * acked or discarded, all requeued or all nacked, else one by one, see settleFailed.
+   *
+   * @param {Object} channel : the channel the messages were delivered on
+   * @param {String} queue : the queue name
+   * @param {Array} messages : the messages, in delivery order
+   * @param {Array} outcomes : the outcome of each message, 'ack' or a resolved one, see resolveOutcome
+   * @param {Array} errors : the error of each failed message
+   * @param {Object} opts : the consume options
+   * @returns {Promise|void} resolved once the messages are settled one by one
+   */
+  function settleBatch(channel, queue, messages, outcomes, errors, opts) {
+    const last = messages[messages.length - 1];
+    const count = metric => messages.forEach(message =>
+      metrics.increment(metric, getConsumeLabels(queue, retry.getOriginalFields(message))));
+
+    if (outcomes.every(outcome => outcome === 'ack' || outcome === 'discard')) {
+      channel.ack(last, true);
+      return count('acked');
+    }
+    if (outcomes.every(outcome => outcome === 'requeue') || outcomes.every(outcome => outcome === 'nack')) {
+      channel.nack(last, true, outcomes[0] === 'requeue');
+      return count('nacked');
+    }
+    return Promise.all(messages.map((message, index) => (outcomes[index] === 'ack'
+      ? ackMessage(channel, queue, message)
+      : settleFailed(channel, queue, message, errors[index], outcomes[index], opts))));
   }
 
   /**
@@ -149,26 +1287,470 @@ function* createClient(rabbitmqUrl, options) {
    * @param {String} exchange : the name of the exchange on which you want to connect.
    * @param {String} queue : the queue name
    * @param {String} rootingKey : the rooting that you want to bind.
-  * @param {Function} handler : should be yieldable,
-   * @param {Object} [opts] : various options that will be passed to the setupQueue method
+   * @param {Function} handler : should be yieldable,
+   * @param {Object} [opts] : various options that will be passed to the setupQueue and consume methods
    */
   function* listen(exchange, queue, rootingKey, handler, opts) {
     yield setupQueue(exchange, queue, rootingKey, opts);
-    yield consume(queue, handler);
+    yield consume(queue, handler, opts);
   }
 
   /**
    * Publish a message to an exchange with the given rooting key.
+   * With an outbox, the message is buffered while no channel is available, or while previously
+   * buffered messages are not all published, to keep the publishing order.
+   * Its `messageId`, `timestamp` and `appId` properties are set, unless they are given, and so are its
+   * `correlationId` and `x-causation-id` header when it is published while handling a message.
    *
    * @param  {String} exchange: The exchange on which you want to publish.
    * @param  {queue} rootingKey: The rooting key for your message.
    * @param  {Object} message: Your message.
    * @param  {Object} opts: options passsed to the publish function.
-   * @return {Boolean} true if the message was written, false else
+   * @param  {String} [opts.contentType]: the content type of the message, that selects its codec,
+   * default to 'application/json'.
+   * @param  {Number} [opts.schemaVersion]: the version of the schema the message is validated against,
+   * default to the latest one.
+   * @return {Promise} resolved once the message is published, see publishOnChannel,
+   * rejected if the message does not match its schema.
    */
   function publish(exchange, rootingKey, message, opts) {
-    return busClient.channel.publish(exchange, rootingKey, new Buffer(JSON.stringify(message)), opts);
+    return publishWithin(messageContext.current(), exchange, rootingKey, message, opts);
+  }
+
+  /**
+   * Publish messages to an exchange, e.g. from a backfill job, each one as with `publish`.
+   * The messages are written in order, waiting for the write buffer of the publish channel to be drained
+   * whenever it is full, without waiting for the confirms of the previous ones.
+   *
+   * @param  {String} exchange: the exchange
+   * @param  {Array} entries: the `key`, `message` and publish `opts` of each message, see publish
+   * @param  {Object} [opts]: various options
+   * @param  {Boolean} [opts.failFast]: stop publishing once a message failed, e.g. was nacked by the
+   * broker, default to false. The messages written before the failure is known are still published.
+   * @return {Promise} resolved once every message is published (and confirmed on a confirm channel) or
+   * failed, with the result of each message, in their order: its `key` and `status`, 'published',
+   * 'failed' with its `error`, or 'skipped' when it was not published after a failure with `opts.failFast`
+   */
+  function publishMany(exchange, entries, opts) {
+    if (!Array.isArray(entries)) return Promise.reject(new Error('The messages to publish should be an array'));
+    const failFast = Boolean(opts && opts.failFast);
+
+    return co(function* _publishMany() {
+      const results = entries.map(entry => ({ key: entry.key, status: 'skipped' }));
+      const published = [];
+      let failed = false;
+      for (let index = 0; index < entries.length; index += 1) {
+        const entry = entries[index];
+        // Gives the confirms received meanwhile a chance to be handled
+        if (failFast) yield cb => setImmediate(cb);
+        if (failed && failFast) break;
+
+        const channel = busClient.publishChannel;
+        if (channel !== null && drains.has(channel)) {
+          try {
+            yield drains.get(channel);
+          } catch (err) {
+            // The messages waiting for the drain fail with the error, the next ones use the next channel
+          }
+        }
+        published.push(publish(exchange, entry.key, entry.message, entry.opts).then(() => {
+          results[index] = { key: entry.key, status: 'published' };
+        }, err => {
+          failed = true;
+          results[index] = { key: entry.key, status: 'failed', error: err };
+        }));
+      }
+      yield published;
+      return results;
+    });
+  }
+
+  /**
+   * Publish a message, correlated to the message being handled in the given context, if any.
+   *
+   * @param  {Object} [context]: the context of the message being handled, see lib/context.js
+   * @param  {String} exchange: the exchange
+   * @param  {String} rootingKey: the rooting key
+   * @param  {*} message: the message
+   * @param  {Object} [opts]: the publish options
+   * @return {Promise} see publish
+   */
+  function publishWithin(context, exchange, rootingKey, message, opts) {
+    const ctx = {
+      exchange,
+      routingKey: rootingKey,
+      message,
+      options: messageContext.withEnvelope(opts, envelopeDefaults, context)
+    };
+    return runPublishMiddlewares(ctx, () => co(function* _publish() {
+      const encoded = encode(ctx.message, validate(ctx.exchange, ctx.routingKey, ctx.message, ctx.options));
+      return yield tracePublish(ctx.exchange, ctx.routingKey, encoded.options, publishOptions =>
+        publishContent(ctx.exchange, ctx.routingKey, encoded.content, publishOptions));
+    }));
+  }
+
+  /**
+   * Publish a content that is already encoded, e.g. replayed from a dump, as is: its content type is
+   * not checked against the codecs, nor its message against a schema, and the publish middlewares are
+   * not called. Like `publish`, it waits for the write buffer to be drained, and for the confirm of the
+   * broker on a confirm channel.
+   *
+   * @param  {String} exchange: the exchange
+   * @param  {String} rootingKey: the rooting key
+   * @param  {Buffer} content: the encoded message
+   * @param  {Object} [opts]: the publish options, e.g. its `contentType`
+   * @return {Promise} see publishOnChannel
+   */
+  function publishEncoded(exchange, rootingKey, content, opts) {
+    if (!Buffer.isBuffer(content)) return Promise.reject(new Error('The encoded content should be a Buffer'));
+    const publishOptions = messageContext.withEnvelope(opts, envelopeDefaults, messageContext.current());
+    return tracePublish(exchange, rootingKey, publishOptions, tracedOptions =>
+      publishContent(exchange, rootingKey, content, tracedOptions));
+  }
+
+  /**
+   * Buffer an encoded message in the outbox while no channel is available, or while previously
+   * buffered messages are not all published, else publish it on the publish channel.
+   *
+   * @param  {String} exchange: the exchange
+   * @param  {String} rootingKey: the rooting key
+   * @param  {Buffer} content: the encoded message
+   * @param  {Object} opts: the publish options
+   * @return {Promise} see publishOnChannel
+   */
+  function publishContent(exchange, rootingKey, content, opts) {
+    if (outbox && !closed && (busClient.publishChannel === null || outbox.size() > 0)) {
+      return outbox.push(exchange, rootingKey, content, opts);
+    }
+    return publishOnChannel(exchange, rootingKey, content, opts);
+  }
+
+  /**
+   * Publish a message within a producer span, whose trace context is injected in the message headers.
+   *
+   * @param  {String} exchange: the exchange
+   * @param  {String} rootingKey: the rooting key
+   * @param  {Object} opts: the publish options
+   * @param  {Function} send: called with the publish options, with the trace context, returns a promise
+   * @return {Promise} settled as the promise returned by `send`
+   */
+  function tracePublish(exchange, rootingKey, opts, send) {
+    const span = tracer.startSpan(`${exchange || '(default)'} publish`, {
+      kind: 'producer',
+      attributes: getAttributes(exchange, rootingKey, opts)
+    });
+    const headers = Object.assign({}, opts.headers);
+    tracer.inject(span, headers);
+    const publishOptions = opts.headers || Object.keys(headers).length > 0
+      ? Object.assign({}, opts, { headers })
+      : opts;
+
+    let sent;
+    try {
+      // Sent synchronously, the outbox must keep the publishing order
+      sent = Promise.resolve(send(publishOptions));
+    } catch (err) {
+      sent = Promise.reject(err);
+    }
+    return sent
+      .then(result => {
+        tracer.endSpan(span);
+        metrics.increment('published', { exchange, routing_key: rootingKey });
+        return result;
+      }, err => {
+        tracer.endSpan(span, err);
+        throw err;
+      });
+  }
+
+  /**
+   * Add a Koa-style middleware around `publish`, called with a context and a `next` function that
+   * calls the following middleware, then publishes the message. The context has the `exchange`,
+   * `routingKey`, `message` and publish `options`, that the middleware can change before calling `next`.
+   * A middleware that does not call `next` short-circuits the publishing.
+   *
+   * @param  {Function} middleware: a function that returns a promise, an async function, or a generator function
+   * @return {Object} the client, to chain calls
+   */
+  function usePublish(middleware) {
+    publishMiddlewares.push(wrap(middleware));
+    return busClient;
+  }
+
+  /**
+   * Validate a message against the schema registered for its exchange and routing key, if any.
+   *
+   * @param  {String} exchange: the exchange
+   * @param  {String} rootingKey: the rooting key
+   * @param  {*} message: the message
+   * @param  {Object} [opts]: the publish options
+   * @return {Object} the publish options, with the version of the schema in the `x-schema-version` header
+   */
+  function validate(exchange, rootingKey, message, opts) {
+    const publishOptions = Object.assign({}, opts);
+    const result = schemas.validate(exchange, rootingKey, message, publishOptions.schemaVersion);
+    delete publishOptions.schemaVersion;
+
+    if (!result.valid) throw createValidationError(result.errors);
+    if (result.version !== undefined) {
+      publishOptions.headers = Object.assign({}, publishOptions.headers, { [SCHEMA_VERSION_HEADER]: result.version });
+    }
+    return publishOptions;
+  }
+
+  /**
+   * Encode a message with the codec of its content type.
+   *
+   * @param  {*} message: the message
+   * @param  {Object} [opts]: the publish options
+   * @return {Object} the encoded `content`, and the publish `options` with its content type and encoding
+   */
+  function encode(message, opts) {
+    const publishOptions = Object.assign({}, opts);
+    const encoded = codecs.encode(message, publishOptions.contentType);
+    publishOptions.contentType = encoded.contentType;
+    if (encoded.contentEncoding && !publishOptions.contentEncoding) {
+      publishOptions.contentEncoding = encoded.contentEncoding;
+    }
+    return { content: encoded.content, options: publishOptions };
+  }
+
+  /**
+   * Publish a request and wait for its reply, using RabbitMQ direct reply-to.
+   * The request is published on the publish channel, never buffered in the outbox, as its reply
+   * is delivered on the channel it was published on.
+   *
+   * @param  {String} exchange: The exchange on which you want to publish.
+   * @param  {queue} rootingKey: The rooting key for your request.
+   * @param  {Object} message: Your request.
+   * @param  {Object} [opts]: options passsed to the publish function.
+   * @param  {Number} [opts.timeout]: the time in ms waited for the reply, default to the client one.
+   * @return {Promise} resolved with the reply, rejected with the error replied by the handler, or if the
+   * reply is not received in time or before the channel is closed.
+   */
+  function request(exchange, rootingKey, message, opts) {
+    return co(function* _request() {
+      const envelope = messageContext.withEnvelope(opts, envelopeDefaults, messageContext.current());
+      const encoded = encode(message, validate(exchange, rootingKey, message, envelope));
+      const publishOptions = encoded.options;
+      const timeout = publishOptions.timeout || options.rpcTimeout;
+      delete publishOptions.timeout;
+
+      yield listenForReplies();
+      const correlationId = crypto.randomBytes(16).toString('hex');
+      const replied = new Promise((resolve, reject) => pendingRequests.set(correlationId, { resolve, reject }));
+      // The request may be rejected before its reply is awaited, if the channel is closed meanwhile
+      replied.catch(() => {});
+      try {
+        yield tracePublish(exchange, rootingKey, Object.assign(publishOptions, {
+          correlationId,
+          replyTo: DIRECT_REPLY_TO_QUEUE
+        }), requestOptions => publishOnChannel(exchange, rootingKey, encoded.content, requestOptions));
+        return yield withTimeout(replied, timeout, 'Request was not replied in time');
+      } finally {
+        pendingRequests.delete(correlationId);
+      }
+    });
+  }
+
+  /**
+   * Reply to a request, on the queue given in its `replyTo` property.
+   *
+   * @param  {Object} requestProperties: the properties of the request message.
+   * @param  {*} result: the reply; when it is an error, its name, message and code are replied
+   * so that the request is rejected with them.
+   * @return {Promise} resolved once the reply is published
+   */
+  function reply(requestProperties, result) {
+    const isError = result instanceof Error;
+    const content = isError ? { name: result.name, message: result.message, code: result.code } : result;
+    return co(function* _reply() {
+      const encoded = encode(content === undefined ? null : content, messageContext.withEnvelope({
+        correlationId: requestProperties.correlationId,
+        headers: { [RPC_ERROR_HEADER]: isError }
+      }, envelopeDefaults, messageContext.current()));
+      yield tracePublish('', requestProperties.replyTo, encoded.options, replyOptions =>
+        publishOnChannel('', requestProperties.replyTo, encoded.content, replyOptions));
+    });
+  }
+
+  /**
+   * Start consuming the replies on the publish channel, unless it is already done.
+   *
+   * @returns {Promise} resolved once the replies are consumed
+   */
+  function listenForReplies() {
+    const channel = busClient.publishChannel;
+    if (channel === null) return Promise.reject(new Error('Channel is closed'));
+
+    if (replyConsumer.channel !== channel) {
+      replyConsumer.channel = channel;
+      replyConsumer.ready = channel.consume(DIRECT_REPLY_TO_QUEUE, handleReply, { noAck: true });
+      channel.once('close', () => {
+        rejectPendingRequests(new Error('Channel was closed before the reply was received'));
+      });
+    }
+    return replyConsumer.ready;
   }
+
+  function handleReply(message) {
+    // The consumer was cancelled by the server
+    if (message === null) return;
+
+    const pending = pendingRequests.get(message.properties.correlationId);
+    const codec = codecs.get(message.properties.contentType);
+    let content;
+    try {
+      if (!codec) throw new Error(`No codec registered for content type ${message.properties.contentType}`);
+      content = codec.decode(message.content);
+    } catch (err) {
+      if (pending) pending.reject(new Error('Reply could not be decoded'));
+      return;
+    }
+
+    if (!pending) {
+      // The request timed out, or was sent by a previous channel
+      logger.warn({ correlationId: message.properties.correlationId }, '[client#request] Received a late reply');
+      busClient.emit('late_reply', content, message.properties);
+      return;
+    }
+
+    pendingRequests.delete(message.properties.correlationId);
+    const headers = message.properties.headers || {};
+    if (!headers[RPC_ERROR_HEADER]) {
+      pending.resolve(content);
+      return;
+    }
+    const err = new Error(content.message);
+    err.name = content.name;
+    err.code = content.code;
+    pending.reject(err);
+  }
+
+  function rejectPendingRequests(err) {
+    pendingRequests.forEach(pending => pending.reject(err));
+    pendingRequests.clear();
+  }
+
+  /**
+   * Publish the messages buffered in the outbox, in the background.
+   *
+   * @returns {void}
+   */
+  function flushOutbox() {
+    if (outbox) outbox.flush();
+  }
+
+  /**
+   * Publish an encoded message on the publish channel, that is kept apart from the consumers so that
+   * a channel closed by a failed operation does not stop the publishing.
+   * When the write buffer of the channel is full, wait for it to be drained.
+   * On a confirm channel, wait for the broker to acknowledge the message.
+   *
+   * @param  {String} exchange: The exchange on which you want to publish.
+   * @param  {queue} rootingKey: The rooting key for your message.
+   * @param  {Buffer} content: The encoded message.
+   * @param  {Object} opts: options passsed to the publish function.
+   * @param  {Number} [opts.confirmTimeout]: the time in ms waited for the broker to confirm the message,
+   * default to the client one.
+   * @return {Promise} resolved once the message is written (and confirmed on a confirm channel),
+   * rejected if the broker nacks it or does not confirm it in time.
+   */
+  function publishOnChannel(exchange, rootingKey, content, opts) {
+    return co(function* _publishOnChannel() {
+      const channel = busClient.publishChannel;
+      if (channel === null) throw new Error('Channel is closed');
+
+      const publishOptions = Object.assign({}, opts);
+      const confirmTimeout = publishOptions.confirmTimeout || options.confirmTimeout;
+      delete publishOptions.confirmTimeout;
+
+      if (!options.useConfirmChannel) {
+        if (!channel.publish(exchange, rootingKey, content, publishOptions)) yield waitForDrain(channel);
+        return;
+      }
+
+      const confirmation = {};
+      const confirmed = new Promise((resolve, reject) => {
+        confirmation.resolve = resolve;
+        confirmation.reject = reject;
+      });
+      const start = process.hrtime();
+      const written = channel.publish(exchange, rootingKey, content, publishOptions, err => {
+        metrics.observe('publishConfirmDuration', { exchange, routing_key: rootingKey }, secondsSince(start));
+        if (err) return confirmation.reject(new Error('Message was nacked by the broker'));
+        return confirmation.resolve();
+      });
+      // The confirm of a message whose channel is closed before being drained is not waited for
+      const drained = written ? Promise.resolve() : waitForDrain(channel).catch(err => {
+        confirmation.reject(err);
+        throw err;
+      });
+      yield [
+        drained,
+        withTimeout(confirmed, confirmTimeout, 'Message was not confirmed by the broker in time')
+      ];
+    });
+  }
+}
+
+/**
+ * Wait for the write buffer of a channel to be drained.
+ * Concurrent calls share the same promise, so that a single listener is added.
+ *
+ * @param {Object} channel : the channel
+ * @returns {Promise} resolved on the channel `drain` event, rejected if the channel is closed before
+ */
+function waitForDrain(channel) {
+  if (!drains.has(channel)) {
+    drains.set(channel, new Promise((resolve, reject) => {
+      function cleanup() {
+        drains.delete(channel);
+        channel.removeListener('drain', onDrain);
+        channel.removeListener('close', onClose);
+      }
+      function onDrain() {
+        cleanup();
+        resolve();
+      }
+      function onClose() {
+        cleanup();
+        reject(new Error('Channel was closed before its write buffer was drained'));
+      }
+      channel.on('drain', onDrain);
+      channel.on('close', onClose);
+    }));
+  }
+  return drains.get(channel);
+}
+
+/**
+ * @param {Promise} promise : the promise
+ * @param {Number} timeout : the time in ms
+ * @param {String|Error} message : the message of the error when the timeout is reached, or the error
+ * @returns {Promise} settled like `promise`, or rejected if it is not settled within `timeout`
+ */
+function withTimeout(promise, timeout, message) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(message instanceof Error ? message : new Error(message)), timeout);
+  });
+  return Promise.race([promise, expired]).then(result => {
+    clearTimeout(timer);
+    return result;
+  }, err => {
+    clearTimeout(timer);
+    throw err;
+  });
+}
+
+/**
+ * @param {Array} start : a time returned by process.hrtime
+ * @returns {Number} the time elapsed since, in seconds
+ */
+function secondsSince(start) {
+  const elapsed = process.hrtime(start);
+  return elapsed[0] + elapsed[1] / 1e9;
 }
 
 module.exports = co.wrap(createClient);
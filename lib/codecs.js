@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Codecs encode published messages into buffers, and decode consumed messages, according to their
+ * content type. A codec is an object with:
+ * - encode(message) : returns the content as a Buffer
+ * - decode(content) : returns the message decoded from a Buffer
+ * - [contentEncoding] : the content encoding set on published messages
+ */
+
+const JSON_CONTENT_TYPE = 'application/json';
+
+const BUILT_IN_CODECS = {
+  [JSON_CONTENT_TYPE]: {
+    encode: message => new Buffer(JSON.stringify(message)),
+    decode: content => JSON.parse(content.toString()),
+    contentEncoding: 'utf-8'
+  },
+  'text/plain': {
+    encode: message => new Buffer(String(message)),
+    decode: content => content.toString(),
+    contentEncoding: 'utf-8'
+  },
+  'application/octet-stream': {
+    encode: message => (Buffer.isBuffer(message) ? message : new Buffer(message)),
+    decode: content => content
+  }
+};
+
+/**
+ * @param {String} [contentType] : a content type, possibly with parameters
+ * @returns {String} the content type, without parameters, lower cased, default to JSON
+ */
+function normalize(contentType) {
+  if (!contentType) return JSON_CONTENT_TYPE;
+  return contentType.split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Return a registry of the built-in codecs (JSON, plain text and binary), extended with custom ones.
+ *
+ * @param {Object} [codecs] : custom codecs by content type, they override the built-in ones
+ * @return {Object} codec registry
+ */
+function createCodecs(codecs) {
+  const registry = {};
+  Object.keys(BUILT_IN_CODECS).forEach(contentType => {
+    registry[contentType] = BUILT_IN_CODECS[contentType];
+  });
+  Object.keys(codecs || {}).forEach(contentType => {
+    registry[normalize(contentType)] = codecs[contentType];
+  });
+
+  return {
+    get,
+    encode
+  };
+
+  /**
+   * @param {String} [contentType] : the content type of a message, JSON when missing
+   * @returns {Object|null} the codec of the content type, null if there is none
+   */
+  function get(contentType) {
+    return registry[normalize(contentType)] || null;
+  }
+
+  /**
+   * @param {*} message : the message to encode
+   * @param {String} [contentType] : the content type, default to JSON
+   * @returns {Object} the encoded `content`, with the `contentType` and `contentEncoding` to publish it with
+   */
+  function encode(message, contentType) {
+    contentType = normalize(contentType);
+    const codec = registry[contentType];
+    if (!codec) throw new Error(`No codec registered for content type ${contentType}`);
+
+    return {
+      content: codec.encode(message),
+      contentType,
+      contentEncoding: codec.contentEncoding
+    };
+  }
+}
+
+module.exports = { JSON_CONTENT_TYPE, createCodecs };
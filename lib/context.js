@@ -0,0 +1,76 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Helpers to build the envelope of published messages: their `messageId`, `timestamp`, and the
+ * correlation and causation ids of the message being handled when they are published.
+ *
+ * The message being handled is tracked through AsyncLocalStorage when it is available, so that
+ * every message published by its handler is correlated to it. Otherwise, only the messages
+ * published with the `publish` function given to the handler are.
+ */
+
+const CAUSATION_ID_HEADER = 'x-causation-id';
+
+let storage = null;
+try {
+  const AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+  if (AsyncLocalStorage) storage = new AsyncLocalStorage();
+} catch (err) {
+  // async_hooks is not available on this node version
+}
+
+/**
+ * @param {Object} properties : the properties of a consumed message
+ * @returns {Object} the context of the handling of the message: its `messageId`, and the
+ * `correlationId` of the messages it causes, its own one or else its message id
+ */
+function fromProperties(properties) {
+  properties = properties || {};
+  return {
+    messageId: properties.messageId,
+    correlationId: properties.correlationId || properties.messageId
+  };
+}
+
+/**
+ * @param {Object} context : the context of the handling of a message
+ * @param {Function} fn : the function handling the message
+ * @returns {*} the result of `fn`, called within the context
+ */
+function run(context, fn) {
+  return storage ? storage.run(context, fn) : fn();
+}
+
+/**
+ * @returns {Object|undefined} the context of the message being handled, if it is tracked
+ */
+function current() {
+  return storage ? storage.getStore() : undefined;
+}
+
+/**
+ * @param {Object} [opts] : the publish options
+ * @param {Object} [defaults] : the default properties, e.g. the `appId`
+ * @param {Object} [context] : the context of the message being handled
+ * @returns {Object} the publish options, with a `messageId`, a `timestamp` in seconds, the default
+ * properties, and the correlation and causation ids of the context, unless they are given
+ */
+function withEnvelope(opts, defaults, context) {
+  const envelope = Object.assign({
+    messageId: crypto.randomBytes(16).toString('hex'),
+    timestamp: Math.floor(Date.now() / 1000)
+  }, defaults, opts);
+  if (!context) return envelope;
+
+  if (envelope.correlationId === undefined && context.correlationId !== undefined) {
+    envelope.correlationId = context.correlationId;
+  }
+  if (context.messageId !== undefined) {
+    envelope.headers = Object.assign({ [CAUSATION_ID_HEADER]: context.messageId }, envelope.headers);
+  }
+  return envelope;
+}
+
+module.exports = { CAUSATION_ID_HEADER, fromProperties, run, current, withEnvelope };
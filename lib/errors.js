@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Errors that a consumer handler can throw to choose how the failed message is settled, and the
+ * outcomes of a failed message:
+ * - 'retry': retried according to the retry options of the consumer, see client#consume: republished
+ *   (to a wait queue with a retry policy), requeued when retries are not bounded, or dead-lettered when
+ *   it has no retry left. A message failed with a RetryLaterError is always delayed, see below,
+ * - 'requeue': nacked and requeued,
+ * - 'nack': nacked without being requeued, so dead-lettered by the broker if the queue has a dead-letter
+ *   exchange, or dropped,
+ * - 'dead-letter': sent to the dead-letter exchange of the consumer with the error in its headers,
+ *   or nacked without being requeued when the consumer has none,
+ * - 'discard': acked, so dropped.
+ */
+
+const OUTCOMES = ['retry', 'requeue', 'nack', 'dead-letter', 'discard'];
+const DEFAULT_OUTCOME = 'retry';
+// The delay in ms of a RetryLaterError without delay, when the consumer has no retry policy
+const DEFAULT_RETRY_LATER_DELAY = 1000;
+
+/**
+ * A permanent failure, e.g. an invalid or unknown entity: the message is dead-lettered, not retried.
+ */
+class NonRetryableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NonRetryableError';
+  }
+}
+
+/**
+ * A transient failure, e.g. an unavailable dependency: the message is retried after a delay, whatever
+ * the `classifyError` hook of the consumer. It is republished to the wait queue of the delay, asserted
+ * if needed, whose TTL sends it back to its queue: the given delay, else the one of the retry policy of
+ * the consumer, else 1000 ms. Unlike other errors, it is not requeued right away when the retries of the
+ * consumer are not bounded.
+ */
+class RetryLaterError extends Error {
+  /**
+   * @param {String} message : the error message
+   * @param {Number} [delay] : the time in ms before the message is retried
+   */
+  constructor(message, delay) {
+    super(message);
+    this.name = 'RetryLaterError';
+    this.delay = delay;
+  }
+}
+
+/**
+ * A message that is not worth handling, e.g. an outdated one: it is acked and dropped.
+ */
+class DiscardError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DiscardError';
+  }
+}
+
+/**
+ * @param {Error} err : the error thrown by a handler
+ * @returns {String|undefined} the outcome of the error type, undefined for any other error
+ */
+function getErrorOutcome(err) {
+  if (err instanceof NonRetryableError) return 'dead-letter';
+  if (err instanceof RetryLaterError) return 'retry';
+  if (err instanceof DiscardError) return 'discard';
+  return undefined;
+}
+
+module.exports = {
+  OUTCOMES,
+  DEFAULT_OUTCOME,
+  DEFAULT_RETRY_LATER_DELAY,
+  NonRetryableError,
+  RetryLaterError,
+  DiscardError,
+  getErrorOutcome
+};
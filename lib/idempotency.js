@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Idempotency stores keep the keys of the messages already handled successfully, so that their
+ * redeliveries are skipped. A store is an object with:
+ * - has(key) : returns a promise of whether the key was added, and is not expired
+ * - add(key) : returns a promise resolved once the key is added, its reservation being over
+ * - [reserve(key)] : atomically reserves a key that is neither added nor reserved, before its message is
+ *   handled, returns a promise of whether it was reserved. The duplicates of a reserved key are retried
+ *   later, as their message may still fail; without it, duplicates delivered while their message is
+ *   handled are handled too.
+ * - [release(key)] : returns a promise resolved once the reservation of a key is removed, when its
+ *   message failed or timed out, so that it is handled again
+ * It can be backed by Redis or Mongo to be shared by several processes, e.g. with a Redis `SET NX`
+ * whose expiration bounds the reservations of crashed processes.
+ */
+
+const DEFAULT_MAX_SIZE = 10000;
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+const DEFAULT_RESERVATION_TTL = 10 * 60 * 1000;
+
+/**
+ * Return an in-memory store, that keeps the most recently used keys until they expire.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.maxSize] : the maximum number of keys, the least recently used ones are
+ * removed beyond it, default to 10000
+ * @param {Number} [options.ttl] : the time in ms a key is kept, default to 24 hours
+ * @param {Number} [options.reservationTtl] : the time in ms a key is reserved at most, when its message is
+ * neither added nor released, e.g. as its handler never settles, default to 10 minutes
+ * @returns {Object} idempotency store
+ */
+function createMemoryStore(options) {
+  options = Object.assign({
+    maxSize: DEFAULT_MAX_SIZE,
+    ttl: DEFAULT_TTL,
+    reservationTtl: DEFAULT_RESERVATION_TTL
+  }, options);
+  // Map iterates in insertion order: the first key is the least recently used one
+  const expirations = new Map();
+  // The expiration of the keys of the messages being handled
+  const reservations = new Map();
+
+  return {
+    has,
+    add,
+    reserve,
+    release,
+    size: () => expirations.size
+  };
+
+  function has(key) {
+    return Promise.resolve(isAdded(key));
+  }
+
+  function isAdded(key) {
+    const expiration = expirations.get(key);
+    if (expiration === undefined) return false;
+
+    expirations.delete(key);
+    if (expiration <= Date.now()) return false;
+    expirations.set(key, expiration);
+    return true;
+  }
+
+  function isReserved(key) {
+    const expiration = reservations.get(key);
+    if (expiration === undefined) return false;
+    if (expiration > Date.now()) return true;
+    reservations.delete(key);
+    return false;
+  }
+
+  function reserve(key) {
+    if (isReserved(key) || isAdded(key)) return Promise.resolve(false);
+    reservations.set(key, Date.now() + options.reservationTtl);
+    return Promise.resolve(true);
+  }
+
+  function release(key) {
+    reservations.delete(key);
+    return Promise.resolve();
+  }
+
+  function add(key) {
+    reservations.delete(key);
+    expirations.delete(key);
+    expirations.set(key, Date.now() + options.ttl);
+    while (expirations.size > options.maxSize) {
+      expirations.delete(expirations.keys().next().value);
+    }
+    return Promise.resolve();
+  }
+}
+
+module.exports = { createMemoryStore };
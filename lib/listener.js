@@ -2,38 +2,69 @@
 
 const co = require('co');
 const EventEmitter = require('events');
+const logger = require('chpr-logger');
 const createClient = require('./client');
+const { ORIGINAL_EXCHANGE_HEADER, ORIGINAL_ROUTING_KEY_HEADER } = require('./retry');
+const { SCHEMA_VERSION_HEADER, createValidationError } = require('./schemas');
+const { isGeneratorFunction, wrap, compose } = require('./middleware');
+const { getMatchingPatterns } = require('./routing');
+const { createMemoryStore } = require('./idempotency');
+const { RetryLaterError } = require('./errors');
 
-/*
- * Checks whether the function is a generator.
- * @params {Function} fn A function, or a generator function.
- * @returns {Boolean} Whether the function is a generator function or not.
- * @see {@link https://github.com/tj/co/blob/cce393407beaf5233d250ebf845e0a686ff74fa8/index.js#L225}
- */
-function isGeneratorFunction(obj) {
-  return obj.constructor.name === 'GeneratorFunction' || obj.constructor.displayName === 'GeneratorFunction';
-}
+const VALIDATION_ERROR_HEADER = 'x-validation-error';
 
 /**
  * Return a bus listener with helper methods to register listeners and listen to the bus' messages
  * The instance inherits EventEmitter and can emit following events :
  * - connected : when the listener is connected to the bus, takes no arguments
+ * - validation_error : when a consumed message does not match its schema, takes the error and
+ * the `queue`, `message`, `fields` and `properties` of the message
+ * - handler_timeout : when a handler does not settle in time, takes the `err`, `queue`, `message`,
+ * `timeout` and `policy`
+ * - duplicate : when a message already handled successfully is skipped, takes the `key`, `queue`,
+ * `message`, `fields` and `properties` of the message
  *
- * @param {String} url Bus AMQP url
+ * @param {String|Array} url Bus AMQP url, or the urls of the nodes of a cluster
  * @param {Object} [options] options
  * @param {Object} [options.client] client to use
+ * @param {Boolean|Object} [options.idempotency] skip the messages already handled successfully
+ * @param {Object} [options.idempotency.store] the store of the handled messages keys, see lib/idempotency.js,
+ * default to an in-memory one
+ * @param {Function} [options.idempotency.key] returns the key of a message, given its content, fields
+ * and properties, default to its `messageId`. Messages without key are always handled.
+ * @param {Number} [options.idempotency.retryDelay] the time in ms after which a message delivered while its
+ * key is reserved, as it is being handled, is retried, default to the one of RetryLaterError
  * @return {Object} bus listener instance
  */
 function createListener(url, options) {
   options = options || {};
+  const idempotency = options.idempotency
+    ? Object.assign({ key: (message, fields, properties) => properties && properties.messageId },
+      options.idempotency === true ? {} : options.idempotency)
+    : null;
+  if (idempotency && !idempotency.store) idempotency.store = createMemoryStore();
   const queues = [];
   const handlers = {};
+  // Queues whose handlers are called with batches of messages, see addBatchHandler
+  const batchQueues = {};
+  const queueOptions = {};
+  const handlerTimeouts = {};
+  const middlewares = [];
+  const runMiddlewares = compose(middlewares);
+  // The schemas registered before the client is created, see registerSchema
+  const pendingSchemas = [];
 
   const instance = Object.assign(Object.create(EventEmitter.prototype), {
     queues,
     handlers,
     addHandler,
+    addBatchHandler,
+    addRpcHandler,
+    use,
+    registerSchema,
     listen: co.wrap(listen),
+    stop,
+    getMetrics,
     client: null
   });
   return instance;
@@ -43,12 +74,46 @@ function createListener(url, options) {
    * @param {String} queue Queue
    * @param {String} key Key
    * @param {Function} handler A function that returns a promise, an async function, or a generator function.
+   * @param {Object} [opts] Options of the queue, merged over the ones given to `listen` and passed to
+   * `client.setupQueue` and `client.consume` (e.g. `maxRetries`, `deadLetterExchange`, `deadLetterQueue`,
+   * `parkingQueue` where messages that do not match their schema are sent, or `fanOut` to call every
+   * handler whose key matches a message instead of the most specific one). Except `timeout`, the time
+   * in ms given to this handler to settle, that overrides the one given to `listen`.
    */
-  function addHandler(queue, key, handler) {
+  function addHandler(queue, key, handler, opts) {
+    if (batchQueues[queue]) throw new Error(`Queue ${queue} already has batch handlers`);
+    registerHandler(queue, key, handler, opts);
+  }
+
+  /**
+   * Register a new batch handler for a given queue and key: the messages of the queue are consumed
+   * by batches, see `client.consumeBatch`, and the handler is called with the messages of a batch whose
+   * routing key matches its key, the most specific one, as an array of `{ content, fields, properties }`.
+   * It can resolve with a result for each of them, in their order: an Error fails its message alone.
+   * A queue cannot have both message and batch handlers. The middlewares and the idempotency are not
+   * applied to batches.
+   * @param {String} queue Queue
+   * @param {String} key Key
+   * @param {Function} handler A function that returns a promise, an async function, or a generator function.
+   * @param {Object} [opts] Options of the queue, see `addHandler`, and `batchSize` and `batchTimeout`
+   */
+  function addBatchHandler(queue, key, handler, opts) {
+    if (handlers[queue] && !batchQueues[queue]) throw new Error(`Queue ${queue} already has message handlers`);
+    batchQueues[queue] = true;
+    registerHandler(queue, key, handler, opts);
+  }
+
+  function registerHandler(queue, key, handler, opts) {
     if (!handlers[queue]) {
       queues.push(queue);
       handlers[queue] = {};
+      queueOptions[queue] = {};
+      handlerTimeouts[queue] = {};
     }
+    opts = Object.assign({}, opts);
+    if (opts.timeout !== undefined) handlerTimeouts[queue][key] = opts.timeout;
+    delete opts.timeout;
+    Object.assign(queueOptions[queue], opts);
     // If the handler is a generator, then we must wrap it.
     // If not, we assume it's either an async function
     // or a function that returns a Promise.
@@ -59,38 +124,336 @@ function createListener(url, options) {
     }
   }
 
+  /**
+   * Register a new handler for the requests sent with `client.request` on a given queue and key.
+   * The value returned by the handler is replied to the requester. When the handler throws,
+   * the error is replied instead, and the request is not retried.
+   * @param {String} queue Queue
+   * @param {String} key Key
+   * @param {Function} handler A function that returns a promise, an async function, or a generator function.
+   * @param {Object} [opts] Options of the queue, see `addHandler`
+   */
+  function addRpcHandler(queue, key, handler, opts) {
+    const wrappedHandler = isGeneratorFunction(handler) ? co.wrap(handler) : handler;
+
+    addHandler(queue, key, (message, fields, properties, ctx) => {
+      if (!properties || !properties.replyTo) {
+        logger.warn({ queue, key }, '[listener#addRpcHandler] Received a request without replyTo, ignoring it');
+        return Promise.resolve();
+      }
+      return Promise.resolve()
+        .then(() => wrappedHandler(message, fields, properties, ctx))
+        .catch(err => {
+          logger.warn({ err, queue, key }, '[listener#addRpcHandler] Handler failed, replying the error');
+          return err;
+        })
+        .then(result => instance.client.reply(properties, result));
+    }, opts);
+  }
+
+  /**
+   * Add a Koa-style middleware around the handlers, called with a context and a `next` function that
+   * calls the following middleware, then the handler. The context has the `queue`, `message`,
+   * `fields` and `properties` of the consumed message, that the middleware can change, and:
+   * - ack() : ack the message once it is handled, even if it failed
+   * - nack([{ requeue }]) : nack the message once it is handled, requeue it unless `requeue` is false
+   * - signal : aborted when the handler times out
+   * - publish(exchange, key, message, [opts]) : publish a message correlated to the consumed one
+   * A middleware that does not call `next` short-circuits the handler, and the message is acked.
+   * The context is also given to the handler, as its fourth argument.
+   * @param {Function} middleware A function that returns a promise, an async function, or a generator function.
+   * @returns {Object} the listener, to chain calls
+   */
+  function use(middleware) {
+    middlewares.push(wrap(middleware));
+    return instance;
+  }
+
+  /**
+   * Register the JSON schema of the messages of an exchange with a routing key, see `client.registerSchema`.
+   * The consumed messages that do not match it are not handled. Before `listen`, it is registered on the
+   * client once it is created, before consuming, so that the first deliveries are validated too.
+   * @param {String} exchange Exchange name
+   * @param {String} routingKey Routing key
+   * @param {Object} schema The JSON schema
+   * @param {Object} [opts] Options, e.g. the `version` of the schema, default to 1
+   */
+  function registerSchema(exchange, routingKey, schema, opts) {
+    if (instance.client) {
+      instance.client.registerSchema(exchange, routingKey, schema, opts);
+    } else {
+      pendingSchemas.push([exchange, routingKey, schema, opts]);
+    }
+  }
+
   /**
    * Start listening on registered handlers.
    * You should not override an existing handler after listen
    *
    * @param {String} exchange Exchange name
-   * @param {Object} opts A set of options passed to `client.setupQueue`
+   * @param {Object} opts A set of options passed to `client.setupQueue` and `client.consume`
    */
   function* listen(exchange, opts) {
     if (instance.client) return;
     instance.client = options.client || (yield createClient(url, options));
+    for (const args of pendingSchemas.splice(0)) {
+      instance.client.registerSchema.apply(null, args);
+    }
     instance.emit('connect');
 
     instance.client.on('consume_error', (err, metadata) => instance.emit('handle_error', err, metadata));
+    instance.client.on('handler_timeout', metadata => instance.emit('handler_timeout', metadata));
 
     for (const queue of queues) {
+      const queueOpts = Object.assign({}, opts, queueOptions[queue]);
       for (const key of Object.keys(handlers[queue])) {
-        yield instance.client.setupQueue(exchange, queue, key, opts);
+        yield instance.client.setupQueue(exchange, queue, key, queueOpts);
+      }
+      if (batchQueues[queue]) {
+        yield instance.client.consumeBatch(queue, createBatchHandler(queue, queueOpts), queueOpts);
+      } else {
+        const consumeOpts = Object.assign({}, queueOpts);
+        if (Object.keys(handlerTimeouts[queue]).length > 0) consumeOpts.timeout = createTimeoutGetter(queue, queueOpts);
+        yield instance.client.consume(queue, createConsumeHandler(queue, queueOpts), consumeOpts);
       }
-      yield instance.client.consume(queue, createConsumeHandler(queue));
     }
   }
 
-  function createConsumeHandler(queue) {
+  /**
+   * Handlers may have their own timeout, it is given to `client.consume` as a function of the message.
+   * With the `fanOut` option, the timeouts of the called handlers add up.
+   */
+  function createTimeoutGetter(queue, queueOpts) {
+    const timeouts = handlerTimeouts[queue];
     return (message, fields) => {
-      let handler = handlers[queue][fields.routingKey];
-      if (!handler) {
-        handler = () => Promise.resolve();
-        instance.emit('unhandle', queue, message, fields);
+      const keys = getMatchingPatterns(Object.keys(handlers[queue]), fields.routingKey || '');
+      const called = queueOpts.fanOut ? keys : keys.slice(0, 1);
+      let total = 0;
+      for (const key of called) {
+        const timeout = timeouts[key] !== undefined ? timeouts[key] : queueOpts.timeout;
+        if (!timeout) return undefined;
+        total += timeout;
       }
-      return handler(message, fields);
+      return total || undefined;
+    };
+  }
+
+  /**
+   * Stop listening: no message is delivered anymore, and the client is closed once the messages being
+   * handled are settled, see `client.drain`.
+   *
+   * @param {Object} [opts] A set of options passed to `client.drain`, e.g. `timeout`
+   * @returns {Promise} resolved once the client is closed
+   */
+  function stop(opts) {
+    if (!instance.client) return Promise.resolve();
+    return instance.client.drain(opts);
+  }
+
+  /**
+   * @returns {Array} the snapshot of the metrics of the client, see `client.getMetrics`, empty
+   * before the listener is started
+   */
+  function getMetrics() {
+    if (!instance.client || !instance.client.getMetrics) return [];
+    return instance.client.getMetrics();
+  }
+
+  function createConsumeHandler(queue, queueOpts) {
+    return (message, fields, properties, delivery) => {
+      const invalid = validateMessage(message, fields, properties);
+      if (invalid) return rejectInvalidMessage(queue, queueOpts, invalid, message, fields, properties);
+
+      let nacked = false;
+      const ctx = {
+        queue,
+        message,
+        fields,
+        properties,
+        signal: delivery && delivery.signal,
+        // correlates the published messages to the handled one, see `client.publish`
+        publish: delivery ? delivery.publish : instance.client.publish,
+        ack: () => delivery && delivery.ack(),
+        nack: opts => {
+          nacked = true;
+          return delivery && delivery.nack(opts);
+        }
+      };
+      const handle = () => runMiddlewares(ctx, () => dispatch(ctx, queueOpts));
+
+      const key = idempotency && idempotency.key(message, fields, properties);
+      if (key === undefined || key === null) return handle();
+
+      // The same message may be routed to several queues, each one handles it
+      const storeKey = `${queue}:${key}`;
+      return reserve(storeKey).then(reserved => {
+        if (!reserved) return skipDuplicate(storeKey, { key, queue, message, fields, properties });
+
+        // Released as soon as the handler times out, as the client settles the message then and its
+        // retry must be handled, and only once not to release the reservation of that retry
+        let released = false;
+        const releaseOnce = () => {
+          if (released) return Promise.resolve();
+          released = true;
+          return release(storeKey);
+        };
+        if (ctx.signal) ctx.signal.addEventListener('abort', releaseOnce);
+        return handle().then(
+          () => (nacked ? releaseOnce() : idempotency.store.add(storeKey)),
+          err => releaseOnce().then(() => { throw err; })
+        );
+      });
+    };
+  }
+
+  /**
+   * Reserve the key of a message before handling it, so that its duplicates delivered meanwhile are
+   * skipped too. Stores without `reserve` only skip the messages already handled.
+   * @returns {Promise} resolved with whether the key was reserved, false if it is handled or reserved
+   */
+  function reserve(storeKey) {
+    const store = idempotency.store;
+    if (store.reserve) return store.reserve(storeKey);
+    return store.has(storeKey).then(handled => !handled);
+  }
+
+  /**
+   * Skip a message whose key is added, or retry it later when its key is only reserved: the message is
+   * still being handled, and may fail.
+   * @returns {Promise} resolved once the duplicate is emitted, rejected with a RetryLaterError
+   */
+  function skipDuplicate(storeKey, duplicate) {
+    return idempotency.store.has(storeKey).then(handled => {
+      if (!handled) throw new RetryLaterError(`Message ${duplicate.key} is being handled`, idempotency.retryDelay);
+      instance.emit('duplicate', duplicate);
+      return null;
+    });
+  }
+
+  /**
+   * Release the key of a message that was not handled successfully, so that its redelivery is handled.
+   */
+  function release(storeKey) {
+    const store = idempotency.store;
+    if (!store.release) return Promise.resolve();
+    return store.release(storeKey).catch(err => {
+      logger.warn({ err, key: storeKey }, '[listener] Idempotency key could not be released');
+    });
+  }
+
+  /**
+   * Call the handlers of a batch queue with the messages of a batch whose routing key matches their key,
+   * the most specific one, see `dispatch`, and merge their results back in the order of the batch.
+   * The messages of a handler that throws fail with its error. The messages that do not match their
+   * schema, or any key, are acked, except the ones that could not be parked, which fail with the error.
+   */
+  function createBatchHandler(queue, queueOpts) {
+    return items => {
+      const groups = {};
+      const results = items.map(() => undefined);
+      const rejected = items.map((item, index) => {
+        const invalid = validateMessage(item.content, item.fields, item.properties);
+        if (invalid) {
+          // A message that could not be parked fails alone, not to fail the messages already handled
+          return rejectInvalidMessage(queue, queueOpts, invalid, item.content, item.fields, item.properties)
+            .catch(err => {
+              results[index] = err;
+            });
+        }
+
+        const key = getMatchingPatterns(Object.keys(handlers[queue]), item.fields.routingKey || '')[0];
+        if (key === undefined) {
+          emitUnhandled(queue, item.content, item.fields);
+        } else {
+          groups[key] = groups[key] || [];
+          groups[key].push(index);
+        }
+        return null;
+      });
+
+      const handled = Object.keys(groups).map(key => {
+        const indexes = groups[key];
+        return Promise.resolve()
+          .then(() => handlers[queue][key](indexes.map(index => items[index])))
+          .then(groupResults => {
+            if (!Array.isArray(groupResults)) return;
+            if (groupResults.length !== indexes.length) {
+              throw new Error(`Batch handler of ${key} resolved with ${groupResults.length} results ` +
+                `for ${indexes.length} messages`);
+            }
+            indexes.forEach((index, position) => {
+              results[index] = groupResults[position];
+            });
+          })
+          .catch(err => indexes.forEach(index => {
+            results[index] = err;
+          }));
+      });
+      return Promise.all(rejected.concat(handled)).then(() => results);
     };
   }
+
+  /**
+   * @returns {Error|null} the validation error of a message that does not match its schema, if any
+   */
+  function validateMessage(message, fields, properties) {
+    const schemas = instance.client.schemas;
+    if (!schemas) return null;
+    const headers = (properties && properties.headers) || {};
+    const result = schemas.validate(fields.exchange, fields.routingKey, message, headers[SCHEMA_VERSION_HEADER]);
+    return result.valid ? null : createValidationError(result.errors);
+  }
+
+  function emitUnhandled(queue, message, fields) {
+    if (instance.client.metrics) {
+      instance.client.metrics.increment('unhandled', {
+        exchange: fields.exchange,
+        queue,
+        routing_key: fields.routingKey
+      });
+    }
+    instance.emit('unhandle', queue, message, fields);
+  }
+
+  /**
+   * Call the handler whose key matches the routing key of the message, with the AMQP topic semantics.
+   * When several keys match, the handler of the most specific one is called, see `getMatchingPatterns`,
+   * or all of them in that order with the `fanOut` queue option.
+   */
+  function dispatch(ctx, queueOpts) {
+    const queueHandlers = handlers[ctx.queue];
+    const keys = getMatchingPatterns(Object.keys(queueHandlers), ctx.fields.routingKey || '');
+    if (keys.length === 0) {
+      emitUnhandled(ctx.queue, ctx.message, ctx.fields);
+      return Promise.resolve();
+    }
+    if (!queueOpts.fanOut) return queueHandlers[keys[0]](ctx.message, ctx.fields, ctx.properties, ctx);
+
+    return keys.reduce(
+      (previous, key) => previous.then(() => queueHandlers[key](ctx.message, ctx.fields, ctx.properties, ctx)),
+      Promise.resolve()
+    );
+  }
+
+  /**
+   * Invalid messages are not handled nor retried: they are acked, after being sent to the parking
+   * queue of their queue, if any.
+   */
+  function rejectInvalidMessage(queue, queueOpts, err, message, fields, properties) {
+    properties = properties || {};
+    logger.warn({ err, queue, routingKey: fields.routingKey }, '[listener] Message does not match its schema');
+    instance.emit('validation_error', err, { queue, message, fields, properties });
+    if (!queueOpts.parkingQueue) return Promise.resolve();
+
+    return instance.client.publish('', queueOpts.parkingQueue, message, {
+      contentType: properties.contentType,
+      headers: Object.assign({}, properties.headers, {
+        [ORIGINAL_EXCHANGE_HEADER]: fields.exchange,
+        [ORIGINAL_ROUTING_KEY_HEADER]: fields.routingKey,
+        [VALIDATION_ERROR_HEADER]: err.message
+      })
+    });
+  }
 }
 
 module.exports = createListener;
@@ -0,0 +1,836 @@
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const url = require('url');
+const logger = require('chpr-logger');
+const { matchTopic } = require('./routing');
+
+/**
+ * An in-memory stand-in for RabbitMQ, selected with a `memory://[name]` url, so that the client and the
+ * listener run without a broker, e.g. in unit tests. Clients connected to the same url share the same
+ * broker.
+ *
+ * Its connections and channels implement the part of the amqplib API used by the client: exchanges
+ * route messages like topic, direct and fanout exchanges, through exchange to exchange bindings too.
+ * Queues honour acks, nacks with or without requeue, prefetch, dead-letter exchanges, message TTL and
+ * direct reply-to. Exchanges and queues asserted again with other options fail like on RabbitMQ, while
+ * messages published to an exchange that does not exist are dropped, where RabbitMQ would close the channel.
+ */
+
+const MEMORY_PROTOCOL = 'memory:';
+// https://www.rabbitmq.com/direct-reply-to.html
+const DIRECT_REPLY_TO_QUEUE = 'amq.rabbitmq.reply-to';
+const EXCHANGE_TYPES = ['topic', 'direct', 'fanout'];
+const DEFAULT_EXCHANGES = { '': 'direct', 'amq.direct': 'direct', 'amq.topic': 'topic', 'amq.fanout': 'fanout' };
+const DEFAULT_WAIT_TIMEOUT = 2000;
+// The options an exchange or a queue must be asserted again with, and their defaults in amqplib
+const EXCHANGE_ARGUMENTS = { durable: true, autoDelete: false, internal: false, alternateExchange: undefined };
+const QUEUE_ARGUMENTS = {
+  durable: true,
+  autoDelete: false,
+  messageTtl: undefined,
+  expires: undefined,
+  deadLetterExchange: undefined,
+  deadLetterRoutingKey: undefined,
+  maxLength: undefined,
+  maxPriority: undefined
+};
+// The publish options that amqplib sends as message properties
+const PROPERTIES = [
+  'contentType', 'contentEncoding', 'headers', 'deliveryMode', 'priority', 'correlationId', 'replyTo',
+  'expiration', 'messageId', 'timestamp', 'type', 'userId', 'appId'
+];
+const NOT_FOUND = 404;
+const PRECONDITION_FAILED = 406;
+
+// Brokers by url host
+const brokers = new Map();
+
+/**
+ * @param {String} rabbitmqUrl : the url given to the client
+ * @returns {Boolean} whether the url selects the in-memory transport
+ */
+function isMemoryUrl(rabbitmqUrl) {
+  return url.parse(rabbitmqUrl).protocol === MEMORY_PROTOCOL;
+}
+
+/**
+ * @param {String} [rabbitmqUrl] : a `memory://[name]` url, default to `memory://`
+ * @returns {Object} the broker of the url, created on first use
+ */
+function getBroker(rabbitmqUrl) {
+  const name = url.parse(rabbitmqUrl || 'memory://').host || '';
+  if (!brokers.has(name)) brokers.set(name, createBroker());
+  return brokers.get(name);
+}
+
+/**
+ * Connect to the broker of the url, like `amqplib.connect`.
+ *
+ * @param {String} rabbitmqUrl : a `memory://[name]` url
+ * @returns {Promise} resolved with the connection
+ */
+function connect(rabbitmqUrl) {
+  return Promise.resolve(getBroker(rabbitmqUrl).createConnection());
+}
+
+/**
+ * Forget every broker, with their exchanges, queues and messages. The clients connected to them should
+ * be closed first.
+ *
+ * @returns {void}
+ */
+function resetBrokers() {
+  brokers.forEach(broker => broker.reset());
+  brokers.clear();
+}
+
+function randomId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * @param {Number} code : the AMQP reply code
+ * @param {String} message : the error message
+ * @returns {Error} the error of a channel closed by the broker
+ */
+function createChannelError(code, message) {
+  const err = new Error(`${code === NOT_FOUND ? 'NOT_FOUND' : 'PRECONDITION_FAILED'} - ${message}`);
+  err.code = code;
+  return err;
+}
+
+/**
+ * @param {Object} defaults : the arguments to compare, with their default values
+ * @param {Object} current : the options the exchange or queue was declared with
+ * @param {Object} requested : the options it is asserted again with
+ * @returns {String|undefined} the first argument whose value differs, if any
+ */
+function findInequivalentArgument(defaults, current, requested) {
+  const valueOf = (options, argument) => (options[argument] === undefined ? defaults[argument] : options[argument]);
+  return Object.keys(defaults).find(argument => valueOf(current, argument) !== valueOf(requested, argument));
+}
+
+function matchBinding(type, pattern, routingKey) {
+  if (type === 'fanout') return true;
+  if (type === 'direct') return pattern === routingKey;
+  return matchTopic(pattern, routingKey);
+}
+
+/**
+ * Return an empty broker, with the default exchanges.
+ *
+ * @returns {Object} broker
+ */
+function createBroker() {
+  const exchanges = new Map();
+  const queues = new Map();
+  // Calls to waitForProcessed and waitForIdle not resolved yet
+  let processedWaiters = [];
+  let idleWaiters = [];
+  declareDefaultExchanges();
+
+  return {
+    createConnection,
+    getQueueStats,
+    getMessages,
+    waitForProcessed,
+    waitForIdle,
+    reset
+  };
+
+  function declareDefaultExchanges() {
+    Object.keys(DEFAULT_EXCHANGES).forEach(name => {
+      exchanges.set(name, { name, type: DEFAULT_EXCHANGES[name], bindings: [] });
+    });
+  }
+
+  /**
+   * @param {String} name : the queue name
+   * @returns {Object} the number of messages ready to be delivered (`messageCount`), delivered and not
+   * settled yet (`unackedCount`), and the number of consumers (`consumerCount`) of the queue
+   */
+  function getQueueStats(name) {
+    const queue = getExistingQueue(name);
+    return {
+      messageCount: queue.messages.length,
+      unackedCount: queue.unackedCount,
+      consumerCount: queue.consumers.length
+    };
+  }
+
+  /**
+   * @param {String} name : the queue name
+   * @returns {Array} the `content`, `fields` and `properties` of the messages ready to be delivered,
+   * e.g. the ones of a dead-letter queue
+   */
+  function getMessages(name) {
+    return getExistingQueue(name).messages.map(entry => ({
+      content: entry.content,
+      fields: { exchange: entry.exchange, routingKey: entry.routingKey, redelivered: entry.redelivered },
+      properties: entry.properties
+    }));
+  }
+
+  /**
+   * Wait for a message of the queue to be acked or nacked.
+   *
+   * @param {String} queue : the queue name
+   * @param {Object} [opts]
+   * @param {Function} [opts.filter] : called with the message, returns whether it is the awaited one
+   * @param {Number} [opts.timeout] : the time in ms waited, default to 2000
+   * @returns {Promise} resolved with the `message` and its `outcome`: 'ack', 'requeue' or 'nack',
+   * rejected if no message is processed in time
+   */
+  function waitForProcessed(queue, opts) {
+    opts = Object.assign({ timeout: DEFAULT_WAIT_TIMEOUT }, opts);
+    return new Promise((resolve, reject) => {
+      const waiter = { queue, filter: opts.filter, resolve };
+      waiter.timer = setTimeout(() => {
+        processedWaiters = processedWaiters.filter(other => other !== waiter);
+        reject(new Error(`No message was processed on queue ${queue} in time`));
+      }, opts.timeout);
+      processedWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * Wait for every message to be processed: no message is delivered and not settled yet, waiting for
+   * its TTL to expire, or ready to be delivered to a consumer.
+   *
+   * @param {Object} [opts]
+   * @param {Number} [opts.timeout] : the time in ms waited, default to 2000
+   * @returns {Promise} resolved once the broker is idle, rejected if it is not in time
+   */
+  function waitForIdle(opts) {
+    opts = Object.assign({ timeout: DEFAULT_WAIT_TIMEOUT }, opts);
+    if (isIdle()) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        idleWaiters = idleWaiters.filter(other => other !== waiter);
+        reject(new Error('Messages were not processed in time'));
+      }, opts.timeout);
+      idleWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * Delete every exchange, queue and message.
+   *
+   * @returns {void}
+   */
+  function reset() {
+    queues.forEach(queue => queue.messages.forEach(clearExpiration));
+    queues.clear();
+    exchanges.clear();
+    declareDefaultExchanges();
+  }
+
+  function isIdle() {
+    for (const queue of queues.values()) {
+      if (queue.scheduled || queue.unackedCount > 0) return false;
+      if (queue.messages.length > 0 && queue.consumers.length > 0) return false;
+      if (queue.messages.some(entry => entry.timer)) return false;
+    }
+    return true;
+  }
+
+  function notifyProcessed(queue, message, outcome) {
+    processedWaiters = processedWaiters.filter(waiter => {
+      if (waiter.queue !== queue.name || (waiter.filter && !waiter.filter(message))) return true;
+      clearTimeout(waiter.timer);
+      waiter.resolve({ message, outcome });
+      return false;
+    });
+    notifyIdle();
+  }
+
+  function notifyIdle() {
+    if (idleWaiters.length === 0 || !isIdle()) return;
+    idleWaiters.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    });
+  }
+
+  function getExistingQueue(name) {
+    if (!queues.has(name)) throw new Error(`Queue ${name} does not exist`);
+    return queues.get(name);
+  }
+
+  /**
+   * Route a message to the queues bound to the exchange.
+   *
+   * @param {String} exchangeName : the exchange
+   * @param {String} routingKey : the routing key
+   * @param {Buffer} content : the message content
+   * @param {Object} properties : the message properties
+   * @returns {void}
+   */
+  function route(exchangeName, routingKey, content, properties) {
+    if (!exchanges.has(exchangeName)) {
+      logger.warn({ exchange: exchangeName, routingKey }, '[memory#route] Exchange does not exist, message dropped');
+      return;
+    }
+    const targets = findQueues(exchangeName, routingKey, [])
+      .filter((name, index, names) => names.indexOf(name) === index);
+    targets.forEach(name => enqueue(queues.get(name), {
+      content,
+      exchange: exchangeName,
+      routingKey,
+      properties,
+      redelivered: false
+    }));
+  }
+
+  /**
+   * @param {String} exchangeName : the exchange
+   * @param {String} routingKey : the routing key
+   * @param {Array} visited : the exchanges already visited, through exchange to exchange bindings
+   * @returns {Array} the names of the queues a message is routed to, possibly repeated
+   */
+  function findQueues(exchangeName, routingKey, visited) {
+    const exchange = exchanges.get(exchangeName);
+    if (!exchange || visited.indexOf(exchangeName) !== -1) return [];
+    visited.push(exchangeName);
+    if (exchangeName === '') return [routingKey].filter(name => queues.has(name));
+
+    return exchange.bindings
+      .filter(binding => matchBinding(exchange.type, binding.pattern, routingKey))
+      .reduce((names, binding) => names.concat(binding.queue !== undefined
+        ? [binding.queue]
+        : findQueues(binding.exchange, routingKey, visited)), []);
+  }
+
+  function enqueue(queue, entry) {
+    const ttls = [queue.options.messageTtl, entry.properties.expiration]
+      .filter(ttl => ttl !== undefined)
+      .map(Number);
+    if (ttls.length > 0) {
+      entry.timer = setTimeout(() => {
+        entry.timer = null;
+        const index = queue.messages.indexOf(entry);
+        if (index === -1) return;
+        queue.messages.splice(index, 1);
+        deadLetter(queue, entry);
+        notifyIdle();
+      }, Math.min.apply(null, ttls));
+    }
+    queue.messages.push(entry);
+    scheduleDispatch(queue);
+  }
+
+  function clearExpiration(entry) {
+    if (!entry.timer) return;
+    clearTimeout(entry.timer);
+    entry.timer = null;
+  }
+
+  /**
+   * Republish a message expired, or nacked without requeue, to the dead-letter exchange of its queue,
+   * if any.
+   *
+   * @param {Object} queue : the queue of the message
+   * @param {Object} entry : the message
+   * @returns {void}
+   */
+  function deadLetter(queue, entry) {
+    const exchange = queue.options.deadLetterExchange;
+    if (exchange === undefined) return;
+    const properties = Object.assign({}, entry.properties);
+    // The TTL of the message does not apply to its dead-lettered copy
+    delete properties.expiration;
+    route(exchange, queue.options.deadLetterRoutingKey || entry.routingKey, entry.content, properties);
+  }
+
+  function scheduleDispatch(queue) {
+    if (queue.scheduled) return;
+    queue.scheduled = true;
+    setImmediate(() => {
+      queue.scheduled = false;
+      if (queues.get(queue.name) === queue) dispatch(queue);
+      notifyIdle();
+    });
+  }
+
+  /**
+   * Deliver the ready messages of a queue to its consumers in turn, as long as they have less unacked
+   * messages than their prefetch.
+   *
+   * @param {Object} queue : the queue
+   * @returns {void}
+   */
+  function dispatch(queue) {
+    while (queue.messages.length > 0) {
+      const index = queue.consumers.findIndex(consumer =>
+        !consumer.prefetch || consumer.unacked.size < consumer.prefetch);
+      if (index === -1) return;
+      const consumer = queue.consumers[index];
+      // The next message goes to the next consumer
+      queue.consumers.push(queue.consumers.splice(index, 1)[0]);
+
+      const entry = queue.messages.shift();
+      clearExpiration(entry);
+      consumer.channel.deliver(queue, consumer, entry);
+    }
+  }
+
+  /**
+   * @returns {Object} a connection, like the amqplib ones
+   */
+  function createConnection() {
+    const connection = Object.assign(Object.create(EventEmitter.prototype), {
+      createChannel: () => Promise.resolve(createChannel(connection, false)),
+      createConfirmChannel: () => Promise.resolve(createChannel(connection, true)),
+      close
+    });
+    EventEmitter.call(connection);
+    const channels = new Set();
+    let closed = false;
+    connection.channels = channels;
+    return connection;
+
+    function close() {
+      if (closed) return Promise.reject(new Error('Connection closed'));
+      closed = true;
+      channels.forEach(channel => channel.closeWith(null));
+      // Exclusive queues are deleted with their connection
+      queues.forEach(queue => {
+        if (queue.owner === connection) deleteQueue(queue);
+      });
+      connection.emit('close');
+      return Promise.resolve();
+    }
+  }
+
+  function deleteQueue(queue) {
+    queues.delete(queue.name);
+    queue.messages.forEach(clearExpiration);
+    exchanges.forEach(exchange => {
+      exchange.bindings = exchange.bindings.filter(binding => binding.queue !== queue.name);
+    });
+    // The broker cancels the consumers of a deleted queue
+    queue.consumers.splice(0).forEach(consumer => {
+      consumer.channel.consumers.delete(consumer.consumerTag);
+      consumer.callback(null);
+    });
+  }
+
+  /**
+   * @param {Object} connection : the connection of the channel
+   * @param {Boolean} confirm : whether the channel is a confirm channel
+   * @returns {Object} a channel, like the amqplib ones
+   */
+  function createChannel(connection, confirm) {
+    const channel = Object.assign(Object.create(EventEmitter.prototype), {
+      assertExchange,
+      checkExchange,
+      deleteExchange,
+      bindExchange,
+      unbindExchange,
+      assertQueue,
+      checkQueue,
+      deleteQueue: deleteQueueByName,
+      purgeQueue,
+      bindQueue,
+      unbindQueue,
+      prefetch,
+      consume,
+      cancel,
+      get,
+      ack,
+      ackAll: () => settle(null, true, 'ack'),
+      nack,
+      nackAll: requeue => settle(null, true, requeue === false ? 'nack' : 'requeue'),
+      reject: (message, requeue) => nack(message, false, requeue),
+      publish,
+      sendToQueue: (queue, content, options, callback) => publish('', queue, content, options, callback),
+      waitForConfirms: () => Promise.resolve(),
+      close,
+      // Used by the broker
+      consumers: new Map(),
+      deliver,
+      closeWith
+    });
+    EventEmitter.call(channel);
+    // Delivered messages that are not settled yet, by delivery tag
+    const unacked = new Map();
+    let deliveryTag = 0;
+    let prefetchCount = 0;
+    let replyQueue = null;
+    let closed = false;
+    connection.channels.add(channel);
+    return channel;
+
+    /**
+     * Close the channel as the broker does on a failed operation.
+     *
+     * @param {Number} code : the AMQP reply code
+     * @param {String} message : the error message
+     * @returns {Promise} rejected with the error
+     */
+    function fail(code, message) {
+      const err = createChannelError(code, message);
+      closeWith(err);
+      return Promise.reject(err);
+    }
+
+    function whenOpen(fn) {
+      if (closed) return Promise.reject(new Error('Channel closed'));
+      return fn();
+    }
+
+    function assertExchange(name, type, options) {
+      return whenOpen(() => {
+        type = type || 'direct';
+        options = options || {};
+        const existing = exchanges.get(name);
+        if (existing) {
+          const argument = existing.type !== type
+            ? 'type'
+            : findInequivalentArgument(EXCHANGE_ARGUMENTS, existing.options, options);
+          if (argument) return fail(PRECONDITION_FAILED, `inequivalent arg '${argument}' for exchange '${name}'`);
+          return Promise.resolve({ exchange: name });
+        }
+        if (EXCHANGE_TYPES.indexOf(type) === -1) {
+          return Promise.reject(new Error(`Exchange type ${type} is not supported by the memory transport`));
+        }
+        exchanges.set(name, { name, type, options, bindings: [] });
+        return Promise.resolve({ exchange: name });
+      });
+    }
+
+    function checkExchange(name) {
+      return whenOpen(() => {
+        if (!exchanges.has(name)) return fail(NOT_FOUND, `no exchange '${name}'`);
+        return Promise.resolve({});
+      });
+    }
+
+    function deleteExchange(name) {
+      return whenOpen(() => {
+        exchanges.delete(name);
+        exchanges.forEach(exchange => {
+          exchange.bindings = exchange.bindings.filter(binding => binding.exchange !== name);
+        });
+        return Promise.resolve({});
+      });
+    }
+
+    function bindExchange(destination, source, pattern) {
+      return whenOpen(() => {
+        if (!exchanges.has(destination)) return fail(NOT_FOUND, `no exchange '${destination}'`);
+        if (!exchanges.has(source)) return fail(NOT_FOUND, `no exchange '${source}'`);
+        const bindings = exchanges.get(source).bindings;
+        if (!bindings.some(binding => binding.exchange === destination && binding.pattern === pattern)) {
+          bindings.push({ exchange: destination, pattern });
+        }
+        return Promise.resolve({});
+      });
+    }
+
+    function unbindExchange(destination, source, pattern) {
+      return whenOpen(() => {
+        if (exchanges.has(source)) {
+          const existing = exchanges.get(source);
+          existing.bindings = existing.bindings.filter(binding =>
+            binding.exchange !== destination || binding.pattern !== pattern);
+        }
+        return Promise.resolve({});
+      });
+    }
+
+    function assertQueue(name, options) {
+      return whenOpen(() => {
+        name = name || `amq.gen-${randomId()}`;
+        options = options || {};
+        if (queues.has(name)) {
+          const argument = findInequivalentArgument(QUEUE_ARGUMENTS, queues.get(name).options, options);
+          if (argument) return fail(PRECONDITION_FAILED, `inequivalent arg '${argument}' for queue '${name}'`);
+        } else {
+          queues.set(name, {
+            name,
+            options,
+            owner: options.exclusive ? connection : null,
+            messages: [],
+            consumers: [],
+            unackedCount: 0,
+            scheduled: false
+          });
+        }
+        return Promise.resolve(getQueueInfo(name));
+      });
+    }
+
+    function checkQueue(name) {
+      return whenOpen(() => {
+        if (!queues.has(name)) return fail(NOT_FOUND, `no queue '${name}'`);
+        return Promise.resolve(getQueueInfo(name));
+      });
+    }
+
+    function getQueueInfo(name) {
+      const queue = queues.get(name);
+      return { queue: name, messageCount: queue.messages.length, consumerCount: queue.consumers.length };
+    }
+
+    function deleteQueueByName(name) {
+      return whenOpen(() => {
+        const queue = queues.get(name);
+        if (!queue) return Promise.resolve({ messageCount: 0 });
+        deleteQueue(queue);
+        return Promise.resolve({ messageCount: queue.messages.length });
+      });
+    }
+
+    function purgeQueue(name) {
+      return whenOpen(() => {
+        if (!queues.has(name)) return fail(NOT_FOUND, `no queue '${name}'`);
+        const purged = queues.get(name).messages.splice(0);
+        purged.forEach(clearExpiration);
+        notifyIdle();
+        return Promise.resolve({ messageCount: purged.length });
+      });
+    }
+
+    function bindQueue(queue, exchange, pattern) {
+      return whenOpen(() => {
+        if (!queues.has(queue)) return fail(NOT_FOUND, `no queue '${queue}'`);
+        if (!exchanges.has(exchange)) return fail(NOT_FOUND, `no exchange '${exchange}'`);
+        const bindings = exchanges.get(exchange).bindings;
+        if (!bindings.some(binding => binding.queue === queue && binding.pattern === pattern)) {
+          bindings.push({ queue, pattern });
+        }
+        return Promise.resolve({});
+      });
+    }
+
+    function unbindQueue(queue, exchange, pattern) {
+      return whenOpen(() => {
+        if (exchanges.has(exchange)) {
+          const existing = exchanges.get(exchange);
+          existing.bindings = existing.bindings.filter(binding =>
+            binding.queue !== queue || binding.pattern !== pattern);
+        }
+        return Promise.resolve({});
+      });
+    }
+
+    function prefetch(count) {
+      return whenOpen(() => {
+        // Like RabbitMQ, the limit applies to the consumers started afterwards
+        prefetchCount = count;
+        return Promise.resolve({});
+      });
+    }
+
+    function consume(queueName, callback, options) {
+      return whenOpen(() => {
+        options = options || {};
+        if (queueName === DIRECT_REPLY_TO_QUEUE) {
+          if (!options.noAck) return fail(PRECONDITION_FAILED, 'reply consumer cannot acknowledge');
+          replyQueue = `${DIRECT_REPLY_TO_QUEUE}.${randomId()}`;
+          queues.set(replyQueue, {
+            name: replyQueue,
+            options: { autoDelete: true },
+            owner: connection,
+            messages: [],
+            consumers: [],
+            unackedCount: 0,
+            scheduled: false
+          });
+          queueName = replyQueue;
+        }
+        const queue = queues.get(queueName);
+        if (!queue) return fail(NOT_FOUND, `no queue '${queueName}'`);
+
+        const consumerTag = options.consumerTag || `amq.ctag-${randomId()}`;
+        const consumer = {
+          consumerTag,
+          queue,
+          channel,
+          callback,
+          noAck: !!options.noAck,
+          prefetch: prefetchCount,
+          unacked: new Set()
+        };
+        channel.consumers.set(consumerTag, consumer);
+        queue.consumers.push(consumer);
+        scheduleDispatch(queue);
+        return Promise.resolve({ consumerTag });
+      });
+    }
+
+    function cancel(consumerTag) {
+      return whenOpen(() => {
+        removeConsumer(channel.consumers.get(consumerTag));
+        return Promise.resolve({ consumerTag });
+      });
+    }
+
+    /**
+     * Stop delivering messages to a consumer. Its unacked messages can still be settled.
+     *
+     * @param {Object} [consumer] : the consumer
+     * @returns {void}
+     */
+    function removeConsumer(consumer) {
+      if (!consumer) return;
+      channel.consumers.delete(consumer.consumerTag);
+      const queue = consumer.queue;
+      queue.consumers = queue.consumers.filter(other => other !== consumer);
+      if (queue.options.autoDelete && queue.consumers.length === 0 && queues.get(queue.name) === queue) {
+        deleteQueue(queue);
+      }
+      notifyIdle();
+    }
+
+    /**
+     * Get the next ready message of a queue, like `basic.get`.
+     *
+     * @param {String} queueName : the queue name
+     * @param {Object} [options]
+     * @param {Boolean} [options.noAck] : whether the message is settled once got
+     * @returns {Promise} resolved with the message, or false when the queue is empty
+     */
+    function get(queueName, options) {
+      return whenOpen(() => {
+        const queue = queues.get(queueName);
+        if (!queue) return fail(NOT_FOUND, `no queue '${queueName}'`);
+        if (queue.messages.length === 0) return Promise.resolve(false);
+
+        let got = null;
+        const entry = queue.messages.shift();
+        clearExpiration(entry);
+        deliver(queue, {
+          noAck: !!(options && options.noAck),
+          unacked: new Set(),
+          callback: message => {
+            got = message;
+          }
+        }, entry);
+        delete got.fields.consumerTag;
+        got.fields.messageCount = queue.messages.length;
+        return Promise.resolve(got);
+      });
+    }
+
+    function deliver(queue, consumer, entry) {
+      deliveryTag += 1;
+      const message = {
+        content: entry.content,
+        fields: {
+          consumerTag: consumer.consumerTag,
+          deliveryTag,
+          redelivered: entry.redelivered,
+          exchange: entry.exchange,
+          routingKey: entry.routingKey
+        },
+        properties: entry.properties
+      };
+      if (consumer.noAck) {
+        consumer.callback(message);
+        notifyProcessed(queue, message, 'ack');
+        return;
+      }
+      unacked.set(deliveryTag, { queue, consumer, entry, message });
+      consumer.unacked.add(deliveryTag);
+      queue.unackedCount += 1;
+      consumer.callback(message);
+    }
+
+    function ack(message, allUpTo) {
+      settle(message, allUpTo, 'ack');
+    }
+
+    function nack(message, allUpTo, requeue) {
+      settle(message, allUpTo, requeue === false ? 'nack' : 'requeue');
+    }
+
+    /**
+     * Settle a delivered message, or every unacked one up to it.
+     *
+     * @param {Object|null} message : the message, null for every unacked one
+     * @param {Boolean} allUpTo : settle the unacked messages delivered before too
+     * @param {String} outcome : 'ack', 'requeue' or 'nack'
+     * @returns {void}
+     */
+    function settle(message, allUpTo, outcome) {
+      if (closed) throw new Error('Channel closed');
+      const tag = message ? message.fields.deliveryTag : deliveryTag;
+      if (message && !unacked.has(tag)) {
+        const err = createChannelError(PRECONDITION_FAILED, `unknown delivery tag ${tag}`);
+        closeWith(err);
+        throw err;
+      }
+      const tags = allUpTo ? Array.from(unacked.keys()).filter(other => other <= tag) : [tag];
+      tags.forEach(settledTag => {
+        const delivery = unacked.get(settledTag);
+        unacked.delete(settledTag);
+        delivery.consumer.unacked.delete(settledTag);
+        delivery.queue.unackedCount -= 1;
+        if (outcome === 'requeue') {
+          requeue(delivery);
+        } else if (outcome === 'nack') {
+          deadLetter(delivery.queue, delivery.entry);
+        }
+        scheduleDispatch(delivery.queue);
+        notifyProcessed(delivery.queue, delivery.message, outcome);
+      });
+    }
+
+    function requeue(delivery) {
+      const queue = delivery.queue;
+      if (queues.get(queue.name) !== queue) return;
+      queue.messages.unshift(Object.assign({}, delivery.entry, { redelivered: true, timer: null }));
+    }
+
+    function publish(exchange, routingKey, content, options, callback) {
+      if (closed) throw new Error('Channel closed');
+      options = options || {};
+      const properties = {};
+      PROPERTIES.forEach(property => {
+        if (options[property] !== undefined) properties[property] = options[property];
+      });
+      properties.headers = Object.assign({}, options.headers);
+      if (options.persistent) properties.deliveryMode = 2;
+      if (properties.replyTo === DIRECT_REPLY_TO_QUEUE && replyQueue) properties.replyTo = replyQueue;
+
+      route(exchange, routingKey, Buffer.from(content), properties);
+      if (confirm && callback) setImmediate(() => callback(null));
+      return true;
+    }
+
+    function close() {
+      if (closed) return Promise.reject(new Error('Channel closed'));
+      closeWith(null);
+      return Promise.resolve();
+    }
+
+    /**
+     * Close the channel: its unacked messages are requeued, and its consumers cancelled.
+     *
+     * @param {Error|null} err : the error closing the channel, null when it is closed by the client
+     * @returns {void}
+     */
+    function closeWith(err) {
+      if (closed) return;
+      closed = true;
+      connection.channels.delete(channel);
+      Array.from(unacked.values()).forEach(delivery => {
+        delivery.queue.unackedCount -= 1;
+        requeue(delivery);
+        scheduleDispatch(delivery.queue);
+      });
+      unacked.clear();
+      Array.from(channel.consumers.values()).forEach(removeConsumer);
+      // An error without listener would be thrown, the close event is enough then
+      if (err && channel.listenerCount('error') > 0) channel.emit('error', err);
+      channel.emit('close');
+    }
+  }
+}
+
+module.exports = { isMemoryUrl, getBroker, connect, resetBrokers };
@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Counters and histograms of the published and consumed messages, labelled by exchange, queue and
+ * routing key, and their rendering in the Prometheus text format.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRICS = {
+  published: {
+    name: 'amqp_bus_messages_published_total',
+    type: 'counter',
+    help: 'Number of published messages'
+  },
+  consumed: {
+    name: 'amqp_bus_messages_consumed_total',
+    type: 'counter',
+    help: 'Number of consumed messages'
+  },
+  acked: {
+    name: 'amqp_bus_messages_acked_total',
+    type: 'counter',
+    help: 'Number of acked messages'
+  },
+  nacked: {
+    name: 'amqp_bus_messages_nacked_total',
+    type: 'counter',
+    help: 'Number of nacked messages'
+  },
+  invalidJson: {
+    name: 'amqp_bus_messages_invalid_json_total',
+    type: 'counter',
+    help: 'Number of consumed messages whose content is not a valid JSON'
+  },
+  unhandled: {
+    name: 'amqp_bus_messages_unhandled_total',
+    type: 'counter',
+    help: 'Number of consumed messages without handler'
+  },
+  consumeErrors: {
+    name: 'amqp_bus_consume_errors_total',
+    type: 'counter',
+    help: 'Number of consumed messages that could not be handled'
+  },
+  handlerDuration: {
+    name: 'amqp_bus_handler_duration_seconds',
+    type: 'histogram',
+    help: 'Duration of the message handlers'
+  },
+  publishConfirmDuration: {
+    name: 'amqp_bus_publish_confirm_duration_seconds',
+    type: 'histogram',
+    help: 'Time waited for the broker to confirm a published message'
+  }
+};
+
+/**
+ * @param {Object} labels : the labels of a value
+ * @returns {String} a key identifying the labels
+ */
+function keyOf(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(label => [label, labels[label]]));
+}
+
+/**
+ * Return a registry of the bus metrics, see `METRICS`.
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.buckets] : the upper bounds in seconds of the histogram buckets
+ * @returns {Object} metrics registry
+ */
+function createMetrics(options) {
+  options = Object.assign({ buckets: DEFAULT_BUCKETS }, options);
+  // The values of each metric, by labels key
+  const values = {};
+  Object.keys(METRICS).forEach(metric => {
+    values[metric] = new Map();
+  });
+
+  return {
+    increment,
+    observe,
+    snapshot
+  };
+
+  function getValue(metric, labels, create) {
+    if (!METRICS[metric]) throw new Error(`Unknown metric: ${metric}`);
+    const key = keyOf(labels);
+    if (!values[metric].has(key)) values[metric].set(key, create());
+    return values[metric].get(key);
+  }
+
+  /**
+   * @param {String} metric : the counter, a key of `METRICS`
+   * @param {Object} labels : the labels, e.g. `exchange`, `queue` and `routing_key`
+   * @param {Number} [value] : the increment, default to 1
+   * @returns {void}
+   */
+  function increment(metric, labels, value) {
+    const counter = getValue(metric, labels, () => ({ labels, value: 0 }));
+    counter.value += value === undefined ? 1 : value;
+  }
+
+  /**
+   * @param {String} metric : the histogram, a key of `METRICS`
+   * @param {Object} labels : the labels
+   * @param {Number} value : the observed value, in seconds
+   * @returns {void}
+   */
+  function observe(metric, labels, value) {
+    const histogram = getValue(metric, labels, () => ({
+      labels,
+      buckets: options.buckets.map(le => ({ le, count: 0 })),
+      sum: 0,
+      count: 0
+    }));
+    histogram.buckets.forEach(bucket => {
+      if (value <= bucket.le) bucket.count += 1;
+    });
+    histogram.sum += value;
+    histogram.count += 1;
+  }
+
+  /**
+   * @returns {Array} the `name`, `type`, `help` and `values` of every metric. A counter value has its
+   * `labels` and `value`, a histogram one its `labels`, cumulative `buckets`, `sum` and `count`.
+   */
+  function snapshot() {
+    return Object.keys(METRICS).map(metric => Object.assign({}, METRICS[metric], {
+      values: Array.from(values[metric].values()).map(value => JSON.parse(JSON.stringify(value)))
+    }));
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const formatted = Object.keys(labels)
+    .filter(label => labels[label] !== undefined)
+    .map(label => `${label}="${escapeLabel(labels[label])}"`);
+  return formatted.length > 0 ? `{${formatted.join(',')}}` : '';
+}
+
+/**
+ * @param {Array} snapshot : the metrics, see `snapshot`
+ * @returns {String} the metrics in the Prometheus text exposition format
+ */
+function renderPrometheus(snapshot) {
+  const lines = [];
+  snapshot.forEach(metric => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    metric.values.forEach(value => {
+      if (metric.type === 'counter') {
+        lines.push(`${metric.name}${formatLabels(value.labels)} ${value.value}`);
+        return;
+      }
+      value.buckets.forEach(bucket => {
+        const labels = Object.assign({}, value.labels, { le: bucket.le });
+        lines.push(`${metric.name}_bucket${formatLabels(labels)} ${bucket.count}`);
+      });
+      const infinity = Object.assign({}, value.labels, { le: '+Inf' });
+      lines.push(`${metric.name}_bucket${formatLabels(infinity)} ${value.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(value.labels)} ${value.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(value.labels)} ${value.count}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { DEFAULT_BUCKETS, createMetrics, renderPrometheus };
@@ -0,0 +1,54 @@
+'use strict';
+
+const co = require('co');
+
+/*
+ * Checks whether the function is a generator.
+ * @params {Function} fn A function, or a generator function.
+ * @returns {Boolean} Whether the function is a generator function or not.
+ * @see {@link https://github.com/tj/co/blob/cce393407beaf5233d250ebf845e0a686ff74fa8/index.js#L225}
+ */
+function isGeneratorFunction(obj) {
+  return obj.constructor.name === 'GeneratorFunction' || obj.constructor.displayName === 'GeneratorFunction';
+}
+
+/**
+ * @param {Function} fn : a function that returns a promise, an async function, or a generator function
+ * @returns {Function} a function that returns a promise
+ */
+function wrap(fn) {
+  return isGeneratorFunction(fn) ? co.wrap(fn) : fn;
+}
+
+/**
+ * Compose Koa-style middlewares: each one is called with a context and a `next` function that calls
+ * the following middleware, and returns a promise resolved once it is done. A middleware that does
+ * not call `next` short-circuits the ones after it.
+ *
+ * The array is read on every call, so middlewares added later are taken into account.
+ *
+ * @param {Array} middlewares : functions called with `(ctx, next)`, already wrapped, see `wrap`
+ * @returns {Function} called with the context and the function to run after the last middleware,
+ * returns a promise
+ */
+function compose(middlewares) {
+  return (ctx, last) => {
+    let index = -1;
+
+    function dispatch(i) {
+      if (i <= index) return Promise.reject(new Error('next() was called multiple times'));
+      index = i;
+      const fn = i === middlewares.length ? last : middlewares[i];
+      if (!fn) return Promise.resolve();
+      try {
+        return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    }
+
+    return dispatch(0);
+  };
+}
+
+module.exports = { isGeneratorFunction, wrap, compose };
@@ -0,0 +1,194 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const co = require('co');
+const logger = require('chpr-logger');
+
+const DEFAULT_MAX_SIZE = 1000;
+const OVERFLOW_POLICIES = ['reject', 'drop-oldest', 'block'];
+
+/**
+ * Return a bounded, ordered buffer of the messages published while no channel is available.
+ *
+ * When a spool file is given, every buffered message is appended to it, and every flushed or dropped
+ * message is appended as removed, so that the messages still buffered are restored on the next start.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.maxSize] : the maximum number of buffered messages, default to 1000
+ * @param {String} [options.overflow] : what to do when the outbox is full: 'reject' the new message,
+ * 'drop-oldest' buffered message, or 'block' until there is room, default to 'reject'
+ * @param {String} [options.spoolFile] : the path of the append-only file where buffered messages are spooled
+ * @param {Object} transport
+ * @param {Function} transport.send : called with a buffered message to publish it, returns a promise
+ * @param {Function} transport.isAvailable : returns whether a channel is available to publish messages
+ * @return {Object} outbox instance
+ */
+function createOutbox(options, transport) {
+  options = Object.assign({ maxSize: DEFAULT_MAX_SIZE, overflow: 'reject' }, options);
+  if (OVERFLOW_POLICIES.indexOf(options.overflow) === -1) {
+    throw new Error(`Unknown outbox overflow policy: ${options.overflow}`);
+  }
+
+  const entries = restore();
+  const waiters = [];
+  let flushing = null;
+
+  return {
+    push,
+    flush,
+    close,
+    size: () => entries.length
+  };
+
+  /**
+   * Buffer a message.
+   *
+   * @param {String} exchange : the exchange
+   * @param {String} routingKey : the routing key
+   * @param {Buffer} content : the encoded message
+   * @param {Object} [opts] : the publish options
+   * @returns {Promise} resolved once the message is flushed, rejected if it is dropped
+   */
+  function push(exchange, routingKey, content, opts) {
+    return co(function* _push() {
+      if (entries.length >= options.maxSize) {
+        if (options.overflow === 'reject') throw new Error('Outbox is full');
+        if (options.overflow === 'drop-oldest') {
+          const dropped = entries[0];
+          remove(dropped);
+          dropped.reject(new Error('Message was dropped from the full outbox'));
+        }
+      }
+      while (entries.length >= options.maxSize) {
+        yield waitForRoom();
+      }
+
+      const entry = { id: crypto.randomBytes(16).toString('hex'), exchange, routingKey, content, opts };
+      const flushed = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+      });
+      spool(toAddRecord(entry));
+      entries.push(entry);
+      if (transport.isAvailable()) flush();
+      return yield flushed;
+    });
+  }
+
+  /**
+   * Publish the buffered messages in order, one at a time. Concurrent calls share the same flush.
+   * A message whose publishing fails is dropped, unless the channel is not available anymore:
+   * then the flush stops and the message is kept for the next one.
+   *
+   * @returns {Promise} resolved once the flush is done
+   */
+  function flush() {
+    if (flushing) return flushing;
+
+    flushing = co(function* _flush() {
+      while (entries.length > 0 && transport.isAvailable()) {
+        const entry = entries[0];
+        try {
+          yield transport.send(entry);
+          remove(entry);
+          entry.resolve();
+        } catch (err) {
+          if (!transport.isAvailable()) return;
+          logger.warn({ err, exchange: entry.exchange }, '[outbox#flush] Buffered message could not be published');
+          remove(entry);
+          entry.reject(err);
+        }
+      }
+    }).then(() => {
+      flushing = null;
+      // Messages blocked by a full outbox may have been pushed since the last check
+      if (entries.length > 0 && transport.isAvailable()) flush();
+    });
+    return flushing;
+  }
+
+  /**
+   * Reject the pending promises of the buffered messages. Spooled messages are kept in the spool file.
+   *
+   * @returns {void}
+   */
+  function close() {
+    const err = new Error('Client was closed before the message was published');
+    entries.splice(0).forEach(entry => entry.reject(err));
+    waiters.splice(0).forEach(waiter => waiter.reject(err));
+  }
+
+  function remove(entry) {
+    const index = entries.indexOf(entry);
+    // The message may have been dropped while it was being sent
+    if (index === -1) return;
+    entries.splice(index, 1);
+    spool({ op: 'remove', id: entry.id });
+    if (entries.length === 0 && options.spoolFile) fs.writeFileSync(options.spoolFile, '');
+    const waiter = waiters.shift();
+    if (waiter) waiter.resolve();
+  }
+
+  function waitForRoom() {
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  }
+
+  function toAddRecord(entry) {
+    return {
+      op: 'add',
+      id: entry.id,
+      exchange: entry.exchange,
+      routingKey: entry.routingKey,
+      content: entry.content.toString('base64'),
+      opts: entry.opts
+    };
+  }
+
+  function spool(record) {
+    if (options.spoolFile) fs.appendFileSync(options.spoolFile, `${JSON.stringify(record)}\n`);
+  }
+
+  /**
+   * Read the spool file to restore the messages that were still buffered, and compact it.
+   *
+   * @returns {Array} the restored entries
+   */
+  function restore() {
+    if (!options.spoolFile || !fs.existsSync(options.spoolFile)) return [];
+
+    const restored = [];
+    fs.readFileSync(options.spoolFile, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        // The process may have been killed while appending the last line
+        logger.warn({ err, line }, '[outbox#restore] Skipping an invalid spool record');
+        return;
+      }
+      if (record.op === 'add') {
+        restored.push({
+          id: record.id,
+          exchange: record.exchange,
+          routingKey: record.routingKey,
+          content: new Buffer(record.content, 'base64'),
+          opts: record.opts,
+          resolve: () => {},
+          reject: () => {}
+        });
+      } else {
+        const index = restored.findIndex(entry => entry.id === record.id);
+        if (index !== -1) restored.splice(index, 1);
+      }
+    });
+
+    fs.writeFileSync(options.spoolFile, restored.map(entry => `${JSON.stringify(toAddRecord(entry))}\n`).join(''));
+    if (restored.length > 0) {
+      logger.info({ count: restored.length }, '[outbox#restore] Restored buffered messages from the spool file');
+    }
+    return restored;
+  }
+}
+
+module.exports = createOutbox;
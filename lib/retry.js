@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Helpers to keep track of the delivery attempts of a message in its headers, and to build the
+ * messages republished for a retry or sent to a dead-letter queue.
+ */
+
+const RETRY_COUNT_HEADER = 'x-retry-count';
+const ORIGINAL_EXCHANGE_HEADER = 'x-original-exchange';
+const ORIGINAL_ROUTING_KEY_HEADER = 'x-original-routing-key';
+const ERROR_NAME_HEADER = 'x-error-name';
+const ERROR_MESSAGE_HEADER = 'x-error-message';
+const ERROR_STACK_HEADER = 'x-error-stack';
+
+const DEAD_LETTER_SUFFIX = '.dead-letter';
+const WAIT_SUFFIX = '.wait.';
+
+const DEFAULT_RETRY_POLICY = {
+  initialDelay: 1000,
+  multiplier: 2,
+  maxDelay: 60000,
+  maxAttempts: 5
+};
+
+/**
+ * @param {Object} message : the amqp message
+ * @returns {Number} the number of times the message has already been retried
+ */
+function getRetryCount(message) {
+  const headers = message.properties.headers || {};
+  return Number(headers[RETRY_COUNT_HEADER]) || 0;
+}
+
+/**
+ * Retried messages are republished on the default exchange, directly to their queue.
+ * Return the fields of the message as they were on the first delivery.
+ *
+ * @param {Object} message : the amqp message
+ * @returns {Object} the message fields, with the original exchange and routing key
+ */
+function getOriginalFields(message) {
+  const headers = message.properties.headers || {};
+  if (headers[ORIGINAL_ROUTING_KEY_HEADER] === undefined) return message.fields;
+
+  return Object.assign({}, message.fields, {
+    exchange: headers[ORIGINAL_EXCHANGE_HEADER],
+    routingKey: headers[ORIGINAL_ROUTING_KEY_HEADER]
+  });
+}
+
+/**
+ * @param {Object} [opts] : the queue options
+ * @param {Object} [opts.retryPolicy] : the delayed retry policy
+ * @returns {Object|null} the retry policy with its defaults, null when retries are not delayed
+ */
+function getRetryPolicy(opts) {
+  if (!opts || !opts.retryPolicy) return null;
+  return Object.assign({}, DEFAULT_RETRY_POLICY, opts.retryPolicy);
+}
+
+/**
+ * @param {Object} [opts] : the queue options
+ * @param {Number} [opts.maxRetries] : the number of retries before dead-lettering a message
+ * @param {Object} [opts.retryPolicy] : the delayed retry policy, its `maxAttempts` includes the first attempt
+ * @returns {Number|undefined} the number of retries before dead-lettering a message, undefined when unbounded
+ */
+function getMaxRetries(opts) {
+  const policy = getRetryPolicy(opts);
+  if (policy) return Math.max(policy.maxAttempts - 1, 0);
+  return opts ? opts.maxRetries : undefined;
+}
+
+/**
+ * @param {Object} policy : the retry policy
+ * @param {Number} retryCount : the number of times the message has already been retried
+ * @returns {Number} the delay in ms before the next attempt
+ */
+function getRetryDelay(policy, retryCount) {
+  return Math.min(Math.round(policy.initialDelay * Math.pow(policy.multiplier, retryCount)), policy.maxDelay);
+}
+
+/**
+ * @param {String} queue : the queue name
+ * @param {Number} delay : the delay in ms
+ * @returns {String} the name of the queue where messages wait for `delay` before going back to `queue`
+ */
+function getWaitQueue(queue, delay) {
+  return `${queue}${WAIT_SUFFIX}${delay}`;
+}
+
+/**
+ * Messages wait in a queue without consumer until their TTL expires, then they are dead-lettered
+ * through the default exchange back to their origin queue. There is one wait queue per delay.
+ *
+ * @param {String} queue : the queue name
+ * @param {Object} [opts] : the queue options
+ * @returns {Array} the names and options of the wait queues to assert, empty when retries are not delayed
+ */
+function getWaitQueues(queue, opts) {
+  const policy = getRetryPolicy(opts);
+  if (!policy) return [];
+
+  const delays = [];
+  for (let retryCount = 0; retryCount < getMaxRetries(opts); retryCount += 1) {
+    const delay = getRetryDelay(policy, retryCount);
+    if (delays.indexOf(delay) === -1) delays.push(delay);
+  }
+  return delays.map(delay => describeWaitQueue(queue, delay));
+}
+
+/**
+ * @param {String} queue : the queue name
+ * @param {Number} delay : the delay in ms
+ * @returns {Object} the name and options of the wait queue of the delay, see getWaitQueues
+ */
+function describeWaitQueue(queue, delay) {
+  return {
+    queue: getWaitQueue(queue, delay),
+    options: { messageTtl: delay, deadLetterExchange: '', deadLetterRoutingKey: queue }
+  };
+}
+
+/**
+ * @param {String} queue : the queue name
+ * @param {Object} [opts] : the queue options
+ * @param {Number} [opts.maxRetries] : the number of retries before dead-lettering a message
+ * @param {Object} [opts.retryPolicy] : the delayed retry policy
+ * @param {String} [opts.deadLetterExchange] : the dead-letter exchange, default to '<queue>.dead-letter'
+ * @param {String} [opts.deadLetterQueue] : the dead-letter queue, default to '<queue>.dead-letter'
+ * @param {String} [opts.timeoutPolicy] : the policy of the messages whose handler timed out
+ * @returns {Object|null} the dead-letter exchange and queue, null when retries are not bounded and
+ * timed out messages are not dead-lettered
+ */
+function getDeadLetter(queue, opts) {
+  opts = opts || {};
+  if (getMaxRetries(opts) === undefined && opts.timeoutPolicy !== 'dead-letter') return null;
+
+  return {
+    exchange: opts.deadLetterExchange || `${queue}${DEAD_LETTER_SUFFIX}`,
+    queue: opts.deadLetterQueue || `${queue}${DEAD_LETTER_SUFFIX}`
+  };
+}
+
+/**
+ * @param {Object} message : the amqp message
+ * @param {Object} headers : the headers to add
+ * @returns {Object} the publish options to republish the message with the added headers
+ */
+function withHeaders(message, headers) {
+  const fields = getOriginalFields(message);
+  return Object.assign({}, message.properties, {
+    headers: Object.assign({}, message.properties.headers, {
+      [ORIGINAL_EXCHANGE_HEADER]: fields.exchange,
+      [ORIGINAL_ROUTING_KEY_HEADER]: fields.routingKey
+    }, headers)
+  });
+}
+
+/**
+ * @param {Object} message : the amqp message
+ * @returns {Object} the publish options to republish the message for its next attempt
+ */
+function getRetryProperties(message) {
+  return withHeaders(message, { [RETRY_COUNT_HEADER]: getRetryCount(message) + 1 });
+}
+
+/**
+ * @param {Object} message : the amqp message
+ * @param {Error} err : the error thrown by the last attempt
+ * @returns {Object} the publish options to send the message to the dead-letter exchange
+ */
+function getDeadLetterProperties(message, err) {
+  err = err || {};
+  return withHeaders(message, {
+    [ERROR_NAME_HEADER]: err.name,
+    [ERROR_MESSAGE_HEADER]: err.message,
+    [ERROR_STACK_HEADER]: err.stack
+  });
+}
+
+module.exports = {
+  RETRY_COUNT_HEADER,
+  ORIGINAL_EXCHANGE_HEADER,
+  ORIGINAL_ROUTING_KEY_HEADER,
+  ERROR_NAME_HEADER,
+  ERROR_MESSAGE_HEADER,
+  ERROR_STACK_HEADER,
+  getRetryCount,
+  getOriginalFields,
+  getRetryPolicy,
+  getMaxRetries,
+  getRetryDelay,
+  getWaitQueue,
+  getWaitQueues,
+  describeWaitQueue,
+  getDeadLetter,
+  getRetryProperties,
+  getDeadLetterProperties
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Helpers to match routing keys against AMQP topic patterns: words are separated by dots,
+ * `*` matches exactly one word, and `#` matches zero or more words.
+ */
+
+const WORD_SEPARATOR = '.';
+const ONE_WORD = '*';
+const ANY_WORDS = '#';
+
+function matchWords(patternWords, i, keyWords, j) {
+  if (i === patternWords.length) return j === keyWords.length;
+  if (patternWords[i] === ANY_WORDS) {
+    for (let next = j; next <= keyWords.length; next += 1) {
+      if (matchWords(patternWords, i + 1, keyWords, next)) return true;
+    }
+    return false;
+  }
+  if (j === keyWords.length) return false;
+  return (patternWords[i] === ONE_WORD || patternWords[i] === keyWords[j])
+    && matchWords(patternWords, i + 1, keyWords, j + 1);
+}
+
+/**
+ * @param {String} pattern : a topic pattern, e.g. `ride.*.created` or `ride.#`
+ * @param {String} routingKey : a routing key
+ * @returns {Boolean} whether the routing key matches the pattern
+ */
+function matchTopic(pattern, routingKey) {
+  return matchWords(pattern.split(WORD_SEPARATOR), 0, routingKey.split(WORD_SEPARATOR), 0);
+}
+
+function countWords(pattern, predicate) {
+  return pattern.split(WORD_SEPARATOR).filter(predicate).length;
+}
+
+/**
+ * Sort function of the patterns, from the most specific to the least one: the pattern with the most
+ * literal words first, then the one with the fewest `#`. Equal patterns keep their order.
+ *
+ * @param {String} a : a topic pattern
+ * @param {String} b : a topic pattern
+ * @returns {Number} negative when `a` is more specific than `b`
+ */
+function comparePatterns(a, b) {
+  const literalWords = word => word !== ONE_WORD && word !== ANY_WORDS;
+  const anyWords = word => word === ANY_WORDS;
+  return (countWords(b, literalWords) - countWords(a, literalWords))
+    || (countWords(a, anyWords) - countWords(b, anyWords));
+}
+
+/**
+ * @param {Array} patterns : topic patterns, in their registration order
+ * @param {String} routingKey : a routing key
+ * @returns {Array} the patterns matching the routing key, from the most specific to the least one:
+ * the routing key itself first, if it is one of the patterns, see `comparePatterns`
+ */
+function getMatchingPatterns(patterns, routingKey) {
+  const matching = patterns.filter(pattern => pattern !== routingKey && matchTopic(pattern, routingKey));
+  // Array#sort is not stable on every node version
+  const sorted = matching
+    .map((pattern, index) => ({ pattern, index }))
+    .sort((a, b) => comparePatterns(a.pattern, b.pattern) || a.index - b.index)
+    .map(item => item.pattern);
+  return patterns.indexOf(routingKey) === -1 ? sorted : [routingKey].concat(sorted);
+}
+
+module.exports = { matchTopic, comparePatterns, getMatchingPatterns };
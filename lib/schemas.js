@@ -0,0 +1,87 @@
+'use strict';
+
+const Ajv = require('ajv');
+
+const SCHEMA_VERSION_HEADER = 'x-schema-version';
+const DEFAULT_SCHEMA_VERSION = 1;
+
+/**
+ * Return a registry of JSON schemas, by exchange and routing key, each one with several versions.
+ *
+ * @return {Object} schema registry
+ */
+function createSchemaRegistry() {
+  const ajv = new Ajv({ allErrors: true });
+  const schemas = {};
+
+  return {
+    register,
+    getLatestVersion,
+    validate
+  };
+
+  function keyOf(exchange, routingKey) {
+    return `${exchange}\u0000${routingKey}`;
+  }
+
+  /**
+   * Register the schema of the messages published on an exchange with a routing key.
+   *
+   * @param {String} exchange : the exchange
+   * @param {String} routingKey : the routing key
+   * @param {Object} schema : the JSON schema
+   * @param {Object} [opts] : various options
+   * @param {Number} [opts.version] : the version of the schema, default to 1
+   * @returns {void}
+   */
+  function register(exchange, routingKey, schema, opts) {
+    const version = (opts && opts.version) || DEFAULT_SCHEMA_VERSION;
+    const key = keyOf(exchange, routingKey);
+    schemas[key] = schemas[key] || {};
+    schemas[key][version] = ajv.compile(schema);
+  }
+
+  /**
+   * @param {String} exchange : the exchange
+   * @param {String} routingKey : the routing key
+   * @returns {Number|undefined} the latest registered version, undefined if there is no schema
+   */
+  function getLatestVersion(exchange, routingKey) {
+    const versions = Object.keys(schemas[keyOf(exchange, routingKey)] || {}).map(Number);
+    return versions.length > 0 ? Math.max.apply(null, versions) : undefined;
+  }
+
+  /**
+   * Validate a message against the schema of the given version, or the latest one when the version
+   * is missing or unknown.
+   *
+   * @param {String} exchange : the exchange
+   * @param {String} routingKey : the routing key
+   * @param {*} message : the message
+   * @param {Number} [version] : the version of the schema
+   * @returns {Object} `valid`, the `errors` of an invalid message, and the `version` of the schema used,
+   * undefined if there is no schema
+   */
+  function validate(exchange, routingKey, message, version) {
+    const versions = schemas[keyOf(exchange, routingKey)];
+    if (!versions) return { valid: true, errors: null, version: undefined };
+
+    if (!versions[version]) version = getLatestVersion(exchange, routingKey);
+    const validator = versions[version];
+    const valid = validator(message);
+    return { valid, errors: valid ? null : validator.errors, version };
+  }
+}
+
+/**
+ * @param {Array} errors : the errors of an invalid message
+ * @returns {Error} the error of an invalid message, with its `validationErrors`
+ */
+function createValidationError(errors) {
+  const details = errors.map(error => `${error.dataPath || 'message'} ${error.message}`).join(', ');
+  const err = new Error(`Message does not match its schema: ${details}`);
+  err.validationErrors = errors;
+  return err;
+}
+
+module.exports = { SCHEMA_VERSION_HEADER, createSchemaRegistry, createValidationError };
@@ -0,0 +1,179 @@
+'use strict';
+
+const fs = require('fs');
+const logger = require('chpr-logger');
+
+/**
+ * Helpers to declare a whole topology at once, described by an object or a JSON file:
+ * {
+ *   exchanges: [{ name, type, options }],
+ *   queues: [{ name, options }],
+ *   bindings: [{ exchange, queue, routingKey, arguments }, { exchange, targetExchange, routingKey, arguments }]
+ * }
+ * The exchange `type` defaults to 'topic'. The exchange and queue `options` are the ones of amqplib
+ * `assertExchange` and `assertQueue`, e.g. `durable`, `deadLetterExchange`, `messageTtl`, `maxLength`
+ * or `maxPriority`. A binding routes the messages of its `exchange` to a `queue`, or to a `targetExchange`.
+ */
+
+const DEFAULT_EXCHANGE_TYPE = 'topic';
+const NOT_FOUND = 404;
+const PRECONDITION_FAILED = 406;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {Object|String} definition : the topology, or the path of a JSON file describing it
+ * @returns {Object} the topology, with every list and default
+ */
+function loadTopology(definition) {
+  if (typeof definition === 'string') definition = JSON.parse(fs.readFileSync(definition, 'utf8'));
+  if (!isObject(definition)) throw new Error('Invalid topology: it should be an object');
+
+  const topology = {};
+  ['exchanges', 'queues', 'bindings'].forEach(list => {
+    const entries = definition[list] || [];
+    if (!Array.isArray(entries)) throw new Error(`Invalid topology: ${list} should be an array`);
+    entries.forEach((entry, index) => {
+      if (!isObject(entry)) throw new Error(`Invalid topology: ${list}[${index}] should be an object`);
+    });
+    topology[list] = entries;
+  });
+
+  topology.exchanges = topology.exchanges.map((exchange, index) => {
+    if (typeof exchange.name !== 'string') throw new Error(`Invalid topology: exchanges[${index}] has no name`);
+    return { name: exchange.name, type: exchange.type || DEFAULT_EXCHANGE_TYPE, options: exchange.options || {} };
+  });
+  topology.queues = topology.queues.map((queue, index) => {
+    if (typeof queue.name !== 'string') throw new Error(`Invalid topology: queues[${index}] has no name`);
+    return { name: queue.name, options: queue.options || {} };
+  });
+  topology.bindings = topology.bindings.map((binding, index) => {
+    if (typeof binding.exchange !== 'string') {
+      throw new Error(`Invalid topology: bindings[${index}] has no exchange`);
+    }
+    if ((typeof binding.queue === 'string') === (typeof binding.targetExchange === 'string')) {
+      throw new Error(`Invalid topology: bindings[${index}] should have either a queue or a targetExchange`);
+    }
+    return Object.assign({ routingKey: '', arguments: {} }, binding);
+  });
+  return topology;
+}
+
+/**
+ * Assert every exchange, queue and binding of a topology.
+ *
+ * @param {Object} channel : the channel
+ * @param {Object} topology : the topology, see loadTopology
+ * @returns {void}
+ */
+function* declareTopology(channel, topology) {
+  for (const exchange of topology.exchanges) {
+    yield channel.assertExchange(exchange.name, exchange.type, exchange.options);
+  }
+  for (const queue of topology.queues) {
+    yield channel.assertQueue(queue.name, queue.options);
+  }
+  for (const binding of topology.bindings) {
+    if (binding.queue !== undefined) {
+      yield channel.bindQueue(binding.queue, binding.exchange, binding.routingKey, binding.arguments);
+    } else {
+      yield channel.bindExchange(binding.targetExchange, binding.exchange, binding.routingKey, binding.arguments);
+    }
+  }
+}
+
+/**
+ * Run an operation on a channel of its own, as the broker closes the channel when it fails.
+ *
+ * @param {Function} createChannel : returns a promise of a new channel
+ * @param {Function} operation : called with the channel, returns a promise
+ * @returns {Error|null} the error of the operation, if it failed
+ */
+function* tryOnChannel(createChannel, operation) {
+  const channel = yield createChannel();
+  let closed = false;
+  channel.on('error', err => {
+    logger.debug({ err }, '[topology#tryOnChannel] Channel closed by the broker');
+  });
+  channel.on('close', () => {
+    closed = true;
+  });
+  try {
+    yield operation(channel);
+    return null;
+  } catch (err) {
+    return err;
+  } finally {
+    if (!closed) yield channel.close();
+  }
+}
+
+/**
+ * Check a topology without changing it: an exchange or a queue is missing when it is not found, and
+ * different when asserting it again fails as its type or options differ. A binding is missing when its
+ * exchange or its destination is, declared in the topology or not; otherwise it is `unverifiable`, as AMQP
+ * cannot tell whether a binding exists, and the topology is not reported `ok`.
+ *
+ * @param {Function} createChannel : returns a promise of a new channel
+ * @param {Object} topology : the topology, see loadTopology
+ * @returns {Object} the report: whether the topology is `ok`, the `missing` exchanges, queues and
+ * bindings, the `different` exchanges and queues with the `error` of the broker, and the `unverifiable`
+ * bindings between existing endpoints
+ */
+function* checkTopology(createChannel, topology) {
+  const missing = [];
+  const different = [];
+  const unverifiable = [];
+  // Whether each exchange and queue exists, by kind and name
+  const found = new Map();
+
+  function* exists(kind, name) {
+    const key = `${kind}:${name}`;
+    if (!found.has(key)) {
+      const err = yield tryOnChannel(createChannel, channel =>
+        (kind === 'exchange' ? channel.checkExchange(name) : channel.checkQueue(name)));
+      if (err && err.code !== NOT_FOUND) throw err;
+      found.set(key, !err);
+    }
+    return found.get(key);
+  }
+
+  function* check(kind, entry, assert) {
+    if (!(yield exists(kind, entry.name))) {
+      missing.push(Object.assign({ kind }, entry));
+      return;
+    }
+    // Asserting an existing exchange or queue again with the same options changes nothing
+    const err = yield tryOnChannel(createChannel, assert);
+    if (err && err.code !== PRECONDITION_FAILED) throw err;
+    if (err) different.push(Object.assign({ kind, error: err.message }, entry));
+  }
+
+  for (const exchange of topology.exchanges) {
+    yield check('exchange', exchange, channel =>
+      channel.assertExchange(exchange.name, exchange.type, exchange.options));
+  }
+  for (const queue of topology.queues) {
+    yield check('queue', queue, channel => channel.assertQueue(queue.name, queue.options));
+  }
+  for (const binding of topology.bindings) {
+    const destinationExists = binding.queue !== undefined
+      ? yield exists('queue', binding.queue)
+      : yield exists('exchange', binding.targetExchange);
+    if (!(yield exists('exchange', binding.exchange)) || !destinationExists) {
+      missing.push(Object.assign({ kind: 'binding' }, binding));
+    } else {
+      unverifiable.push(Object.assign({ kind: 'binding' }, binding));
+    }
+  }
+  return {
+    ok: missing.length === 0 && different.length === 0 && unverifiable.length === 0,
+    missing,
+    different,
+    unverifiable
+  };
+}
+
+module.exports = { loadTopology, declareTopology, checkTopology };
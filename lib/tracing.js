@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Tracers create a span per published and per handled message, and propagate the trace context in
+ * the message headers (W3C `traceparent`, `tracestate` and `baggage`). A tracer is an object with:
+ * - startSpan(name, { kind, attributes, carrier }) : returns a span, child of the trace context
+ *   extracted from the `carrier` headers when given, or else of the active one. `kind` is 'producer'
+ *   or 'consumer'
+ * - inject(span, carrier) : writes the trace context of the span into the `carrier` headers
+ * - withSpan(span, fn) : returns the result of `fn`, run with the span active
+ * - endSpan(span, [err]) : ends the span, failed with `err` if given
+ */
+
+const MESSAGING_SYSTEM = 'rabbitmq';
+
+/**
+ * A tracer that does nothing, used by default.
+ */
+const noopTracer = {
+  startSpan: () => null,
+  inject: () => {},
+  withSpan: (span, fn) => fn(),
+  endSpan: () => {}
+};
+
+/**
+ * Return a tracer backed by OpenTelemetry. The API package is given rather than required, so that
+ * the bus does not depend on it: the propagation relies on the propagators registered on it, and the
+ * active context on its context manager.
+ *
+ * @param {Object} api : the `@opentelemetry/api` package
+ * @param {Object} [options]
+ * @param {String} [options.name] : the name of the tracer, default to 'node-amqp-bus'
+ * @param {String} [options.version] : the version of the tracer
+ * @returns {Object} tracer
+ */
+function createOpenTelemetryTracer(api, options) {
+  options = Object.assign({ name: 'node-amqp-bus' }, options);
+  const tracer = api.trace.getTracer(options.name, options.version);
+
+  return {
+    startSpan,
+    inject,
+    withSpan,
+    endSpan
+  };
+
+  function startSpan(name, spanOptions) {
+    const parent = spanOptions.carrier
+      ? api.propagation.extract(api.context.active(), spanOptions.carrier)
+      : api.context.active();
+    const span = tracer.startSpan(name, {
+      kind: spanOptions.kind === 'producer' ? api.SpanKind.PRODUCER : api.SpanKind.CONSUMER,
+      attributes: spanOptions.attributes
+    }, parent);
+    return { span, context: api.trace.setSpan(parent, span) };
+  }
+
+  function inject(span, carrier) {
+    api.propagation.inject(span.context, carrier);
+  }
+
+  function withSpan(span, fn) {
+    return api.context.with(span.context, fn);
+  }
+
+  function endSpan(span, err) {
+    if (err) {
+      span.span.recordException(err);
+      span.span.setStatus({ code: api.SpanStatusCode.ERROR, message: err.message });
+    }
+    span.span.end();
+  }
+}
+
+/**
+ * @param {String} exchange : the exchange
+ * @param {String} routingKey : the routing key
+ * @param {Object} [properties] : the message properties
+ * @returns {Object} the attributes of the span of a message, following the messaging semantic conventions
+ */
+function getAttributes(exchange, routingKey, properties) {
+  const attributes = {
+    'messaging.system': MESSAGING_SYSTEM,
+    'messaging.destination.name': exchange,
+    'messaging.rabbitmq.destination.routing_key': routingKey
+  };
+  if (properties && properties.messageId) attributes['messaging.message.id'] = properties.messageId;
+  if (properties && properties.correlationId) {
+    attributes['messaging.message.conversation_id'] = properties.correlationId;
+  }
+  return attributes;
+}
+
+module.exports = { noopTracer, createOpenTelemetryTracer, getAttributes };
@@ -0,0 +1,167 @@
+'use strict';
+
+require('co-mocha')(require('mocha'));
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const { expect } = require('chai');
+
+const bus = require('../../index.js');
+const { parseArgs, run } = require('../../lib/cli');
+const { RETRY_COUNT_HEADER, ORIGINAL_EXCHANGE_HEADER, ORIGINAL_ROUTING_KEY_HEADER } = require('../../lib/retry');
+
+const URL = 'memory://cli';
+
+describe('Node AMQP Bus CLI', () => {
+  describe('#parseArgs', () => {
+    it('should parse the command, arguments and options', () => {
+      expect(parseArgs(['publish', 'exchange', '--header', 'a=1', '--confirm', 'key', '--header=b=2', '--', '--x']))
+        .to.eql({
+          command: 'publish',
+          args: ['exchange', 'key', '--x'],
+          options: { header: ['a=1', 'b=2'], confirm: true }
+        });
+    });
+
+    it('should throw when an option has no value', () => {
+      expect(() => parseArgs(['tail', '--url'])).to.throw('Missing value of option --url');
+    });
+  });
+
+  describe('#run', () => {
+    let io;
+    let client;
+    let broker;
+
+    beforeEach(function* beforeEach() {
+      io = {
+        stdin: new stream.PassThrough(),
+        stdout: { output: '', write: chunk => { io.stdout.output += chunk; } },
+        stderr: { output: '', write: chunk => { io.stderr.output += chunk; } }
+      };
+      client = yield bus.createClient(URL);
+      yield client.setupQueue('exchange', 'queue', 'ride.#');
+      broker = bus.getMemoryBroker(URL);
+    });
+
+    afterEach(function* afterEach() {
+      yield client.close();
+      bus.resetMemoryBrokers();
+    });
+
+    function getMessages(queue) {
+      return broker.getMessages(queue).map(message => ({
+        routingKey: message.fields.routingKey,
+        content: JSON.parse(message.content.toString()),
+        headers: message.properties.headers
+      }));
+    }
+
+    it('should print the usage of an unknown command', function* it() {
+      expect(yield run(['unknown'], io)).to.equal(2);
+      expect(io.stderr.output).to.contain('Usage: node-amqp-bus <command>');
+    });
+
+    it('should publish a message given as argument', function* it() {
+      const code = yield run(['publish', 'exchange', 'ride.created', '{"id":1}', '--url', URL, '--header', 'a=1'], io);
+
+      expect(code).to.equal(0);
+      expect(getMessages('queue')).to.eql([{ routingKey: 'ride.created', content: { id: 1 }, headers: { a: '1' } }]);
+    });
+
+    it('should publish a message read from stdin', function* it() {
+      io.stdin.end('{"id":2}\n');
+
+      expect(yield run(['publish', 'exchange', 'ride.created'], io, { AMQP_URL: URL })).to.equal(0);
+      expect(getMessages('queue').map(message => message.content)).to.eql([{ id: 2 }]);
+    });
+
+    it('should fail on a message that is not a valid JSON', function* it() {
+      expect(yield run(['publish', 'exchange', 'ride.created', '{', '--url', URL], io)).to.equal(1);
+      expect(io.stderr.output).to.equal('Error: Message is not a valid JSON\n');
+    });
+
+    it('should print the messages routed by an exchange', function* it() {
+      const tailed = run(['tail', 'exchange', 'ride.*', '--count', '1', '--url', URL], io);
+      yield cb => setTimeout(cb, 20);
+
+      yield client.publish('exchange', 'user.created', { id: 1 });
+      yield client.publish('exchange', 'ride.created', { id: 2 }, { messageId: 'id', headers: { a: 1 } });
+
+      expect(yield tailed).to.equal(0);
+      const lines = io.stdout.output.split('\n');
+      expect(lines[0]).to.match(/^--- exchange ride.created \S+ id$/);
+      expect(lines.slice(1)).to.eql(['headers: {"a":1}', '{', '  "id": 2', '}', '', '']);
+    });
+
+    it('should move the messages of a queue to a file, and replay them', function* it() {
+      const file = path.join(os.tmpdir(), `dump-${process.pid}.jsonl`);
+      yield client.publish('exchange', 'ride.created', { id: 1 });
+      yield client.publish('', 'queue', { id: 2 }, {
+        headers: {
+          [RETRY_COUNT_HEADER]: 3,
+          [ORIGINAL_EXCHANGE_HEADER]: 'exchange',
+          [ORIGINAL_ROUTING_KEY_HEADER]: 'ride.ended'
+        }
+      });
+      try {
+        expect(yield run(['dump', 'queue', file, '--url', URL], io)).to.equal(0);
+
+        expect(broker.getQueueStats('queue').messageCount).to.equal(0);
+        const records = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+        expect(records.map(record => [record.exchange, record.routingKey, record.message])).to.eql([
+          ['exchange', 'ride.created', { id: 1 }],
+          ['exchange', 'ride.ended', { id: 2 }]
+        ]);
+
+        expect(yield run(['replay', file, '--url', URL], io)).to.equal(0);
+
+        expect(getMessages('queue')).to.eql([
+          { routingKey: 'ride.created', content: { id: 1 }, headers: {} },
+          { routingKey: 'ride.ended', content: { id: 2 }, headers: {} }
+        ]);
+        expect(io.stderr.output)
+          .to.equal(`Dumped 2 message(s) from queue to ${file}\nReplayed 2 message(s) from ${file}\n`);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should replay a binary record, and wait for its confirm', function* it() {
+      const file = path.join(os.tmpdir(), `replay-binary-${process.pid}.jsonl`);
+      fs.writeFileSync(file, `${JSON.stringify({
+        exchange: 'exchange',
+        routingKey: 'ride.created',
+        properties: { contentType: 'application/x-custom', headers: { a: 1 } },
+        content: new Buffer([0, 1, 2]).toString('base64')
+      })}\n`);
+      try {
+        expect(yield run(['replay', file, '--confirm', '--url', URL], io)).to.equal(0);
+
+        const messages = broker.getMessages('queue');
+        expect(messages).to.have.lengthOf(1);
+        expect(messages[0].content).to.eql(new Buffer([0, 1, 2]));
+        expect(messages[0].properties.contentType).to.equal('application/x-custom');
+        expect(messages[0].properties.headers).to.eql({ a: 1 });
+        expect(io.stderr.output).to.equal(`Replayed 1 message(s) from ${file}\n`);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should copy the messages of a queue with the keep option', function* it() {
+      const file = path.join(os.tmpdir(), `dump-keep-${process.pid}.jsonl`);
+      yield client.publish('exchange', 'ride.created', { id: 1 });
+      yield client.publish('exchange', 'ride.created', { id: 2 });
+      try {
+        expect(yield run(['dump', 'queue', file, '--keep', '--count', '1', '--url', URL], io)).to.equal(0);
+
+        expect(fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)).to.have.lengthOf(1);
+        expect(getMessages('queue').map(message => message.content)).to.eql([{ id: 1 }, { id: 2 }]);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+require('co-mocha')(require('mocha'));
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { createMemoryStore } = require('../../lib/idempotency');
+
+describe('Node AMQP Bus Idempotency', () => {
+  describe('#createMemoryStore', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should keep the added keys until they expire', function* it() {
+      const store = createMemoryStore({ ttl: 1000 });
+      yield store.add('a');
+
+      expect(yield store.has('a')).to.be.true();
+      expect(yield store.has('b')).to.be.false();
+      clock.tick(1000);
+      expect(yield store.has('a')).to.be.false();
+      expect(store.size()).to.equal(0);
+    });
+
+    it('should reserve a key that is neither added nor reserved', function* it() {
+      const store = createMemoryStore();
+
+      expect(yield store.reserve('a')).to.be.true();
+      expect(yield store.reserve('a')).to.be.false();
+      yield store.release('a');
+      expect(yield store.reserve('a')).to.be.true();
+      yield store.add('a');
+      expect(yield store.reserve('a')).to.be.false();
+      expect(yield store.has('a')).to.be.true();
+    });
+
+    it('should keep the reservations until they expire', function* it() {
+      const store = createMemoryStore({ reservationTtl: 1000 });
+      yield store.reserve('a');
+
+      clock.tick(999);
+      expect(yield store.reserve('a')).to.be.false();
+      clock.tick(1);
+      expect(yield store.reserve('a')).to.be.true();
+    });
+
+    it('should remove the least recently used keys beyond its maximum size', function* it() {
+      const store = createMemoryStore({ maxSize: 2 });
+      yield store.add('a');
+      yield store.add('b');
+      yield store.has('a');
+      yield store.add('c');
+
+      expect(yield store.has('a')).to.be.true();
+      expect(yield store.has('b')).to.be.false();
+      expect(yield store.has('c')).to.be.true();
+    });
+  });
+});
@@ -5,6 +5,7 @@ const sinon = require('sinon');
 const logger = require('chpr-logger');
 
 const bus = require('../../index.js');
+const { createSchemaRegistry } = require('../../lib/schemas');
 
 describe('Node AMQP Bus Listener', () => {
   describe('#createListener()', () => {
@@ -305,6 +306,367 @@ describe('Node AMQP Bus Listener', () => {
       ]);
     });
 
+    it('should merge the handler options over the listen options', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      service.addHandler('MY_QUEUE_NAME_1', 'SOME_EVENT_1', function* someHandler() {}, { maxRetries: 3 });
+      service.addHandler('MY_QUEUE_NAME_2', 'SOME_EVENT_2', function* anotherHandler() {});
+
+      yield service.listen('EXCHANGE', { exchangeType: 'fanout', maxRetries: 1 });
+
+      expect(client.setupQueue.args[0][3]).to.eql({ exchangeType: 'fanout', maxRetries: 3 });
+      expect(client.consume.args[0][2]).to.eql({ exchangeType: 'fanout', maxRetries: 3 });
+      expect(client.setupQueue.args[1][3]).to.eql({ exchangeType: 'fanout', maxRetries: 1 });
+      expect(client.consume.args[1][2]).to.eql({ exchangeType: 'fanout', maxRetries: 1 });
+    });
+
+    it('should reply the result of a rpc handler', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        reply: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      service.addRpcHandler('MY_QUEUE_NAME_1', 'SOME_REQUEST', function* someHandler(message) {
+        return { answer: message.question + 1 };
+      });
+      yield service.listen('EXCHANGE');
+
+      const properties = { replyTo: 'amq.rabbitmq.reply-to.abc', correlationId: 'id' };
+      yield client.consume.getCall(0).args[1]({ question: 42 }, { routingKey: 'SOME_REQUEST' }, properties);
+
+      expect(client.reply.calledOnce).to.be.true();
+      expect(client.reply.firstCall.args).to.eql([properties, { answer: 43 }]);
+    });
+
+    it('should reply the error thrown by a rpc handler', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        reply: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      const err = new Error('Not found');
+      service.addRpcHandler('MY_QUEUE_NAME_1', 'SOME_REQUEST', () => Promise.reject(err));
+      sandbox.stub(logger, 'warn');
+      yield service.listen('EXCHANGE');
+
+      const properties = { replyTo: 'amq.rabbitmq.reply-to.abc', correlationId: 'id' };
+      yield client.consume.getCall(0).args[1]({}, { routingKey: 'SOME_REQUEST' }, properties);
+
+      expect(client.reply.firstCall.args).to.eql([properties, err]);
+    });
+
+    it('should not reply to a request without replyTo', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        reply: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      const handler = sandbox.stub();
+      service.addRpcHandler('MY_QUEUE_NAME_1', 'SOME_REQUEST', handler);
+      sandbox.stub(logger, 'warn');
+      yield service.listen('EXCHANGE');
+
+      yield client.consume.getCall(0).args[1]({}, { routingKey: 'SOME_REQUEST' }, {});
+
+      expect(handler.called).to.be.false();
+      expect(client.reply.called).to.be.false();
+    });
+
+    it('should emit an event and park a message that does not match its schema', function* test() {
+      const client = {
+        schemas: createSchemaRegistry(),
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        publish: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      client.schemas.register('EXCHANGE', 'SOME_EVENT', { required: ['id'] });
+      const service = bus.createListener('url', { client });
+      const handler = sandbox.stub().returns(Promise.resolve());
+      const validationError = sandbox.stub();
+      service.on('validation_error', validationError);
+      service.addHandler('MY_QUEUE_NAME_1', 'SOME_EVENT', handler, { parkingQueue: 'MY_QUEUE_NAME_1.parking' });
+      sandbox.stub(logger, 'warn');
+      yield service.listen('EXCHANGE');
+
+      const fields = { exchange: 'EXCHANGE', routingKey: 'SOME_EVENT' };
+      const properties = { contentType: 'application/json', headers: { 'x-schema-version': 1 } };
+      yield client.consume.getCall(0).args[1]({ name: 'no id' }, fields, properties);
+      yield client.consume.getCall(0).args[1]({ id: 1 }, fields, properties);
+
+      expect(handler.calledOnce).to.be.true();
+      expect(handler.firstCall.args[0]).to.eql({ id: 1 });
+      expect(validationError.calledOnce).to.be.true();
+      expect(validationError.firstCall.args[0].message).to.equal(
+        'Message does not match its schema: message should have required property \'id\'');
+      expect(validationError.firstCall.args[1].queue).to.equal('MY_QUEUE_NAME_1');
+      expect(client.publish.calledOnce).to.be.true();
+      expect(client.publish.firstCall.args).to.eql(['', 'MY_QUEUE_NAME_1.parking', { name: 'no id' }, {
+        contentType: 'application/json',
+        headers: {
+          'x-schema-version': 1,
+          'x-original-exchange': 'EXCHANGE',
+          'x-original-routing-key': 'SOME_EVENT',
+          'x-validation-error': 'Message does not match its schema: message should have required property \'id\''
+        }
+      }]);
+    });
+
+    it('should only fail the message of a batch that could not be parked', function* test() {
+      const client = {
+        schemas: createSchemaRegistry(),
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consumeBatch: sandbox.stub().returns(Promise.resolve()),
+        publish: sandbox.stub().returns(Promise.reject(new Error('Channel closed'))),
+        on: sandbox.stub()
+      };
+      client.schemas.register('EXCHANGE', 'SOME_EVENT', { required: ['id'] });
+      const service = bus.createListener('url', { client });
+      const handler = sandbox.stub().returns(Promise.resolve());
+      service.on('validation_error', () => {});
+      service.addBatchHandler('MY_QUEUE_NAME_1', 'SOME_EVENT', handler, { parkingQueue: 'MY_QUEUE_NAME_1.parking' });
+      sandbox.stub(logger, 'warn');
+      yield service.listen('EXCHANGE');
+
+      const fields = { exchange: 'EXCHANGE', routingKey: 'SOME_EVENT' };
+      const results = yield client.consumeBatch.getCall(0).args[1]([
+        { content: { name: 'no id' }, fields, properties: {} },
+        { content: { id: 1 }, fields, properties: {} }
+      ]);
+
+      expect(handler.calledOnce).to.be.true();
+      expect(handler.firstCall.args[0].map(item => item.content)).to.eql([{ id: 1 }]);
+      expect(results).to.have.lengthOf(2);
+      expect(results[0].message).to.equal('Channel closed');
+      expect(results[1]).to.equal(undefined);
+    });
+
+    it('should run the middlewares around the handler', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      const calls = [];
+      service
+        .use(function* first(ctx, next) {
+          calls.push('first:before');
+          ctx.user = 'user-1';
+          yield next();
+          calls.push('first:after');
+        })
+        .use((ctx, next) => {
+          calls.push('second');
+          return next();
+        });
+      const handler = sandbox.spy((message, fields, properties, ctx) => {
+        calls.push(`handler:${ctx.user}`);
+        return Promise.resolve();
+      });
+      service.addHandler('MY_QUEUE_NAME_1', 'SOME_EVENT', handler);
+      yield service.listen('EXCHANGE');
+
+      yield client.consume.getCall(0).args[1]({ id: 1 }, { routingKey: 'SOME_EVENT' }, {});
+
+      expect(calls).to.eql(['first:before', 'second', 'handler:user-1', 'first:after']);
+      expect(handler.firstCall.args[3]).to.include({ queue: 'MY_QUEUE_NAME_1', user: 'user-1' });
+    });
+
+    it('should let a middleware short-circuit the handler and nack the message', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      service.use(ctx => {
+        if (ctx.properties.headers.skip) return ctx.nack({ requeue: false });
+        return Promise.resolve();
+      });
+      const handler = sandbox.stub().returns(Promise.resolve());
+      service.addHandler('MY_QUEUE_NAME_1', 'SOME_EVENT', handler);
+      yield service.listen('EXCHANGE');
+
+      const delivery = { ack: sandbox.stub(), nack: sandbox.stub() };
+      yield client.consume.getCall(0).args[1]({}, { routingKey: 'SOME_EVENT' }, { headers: { skip: true } }, delivery);
+
+      expect(handler.called).to.be.false();
+      expect(delivery.nack.firstCall.args).to.eql([{ requeue: false }]);
+    });
+
+    it('should call the handler of the most specific matching pattern', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      const calls = [];
+      ['ride.#', 'ride.*.created', '#.created', 'ride.vip.created'].forEach(key => {
+        service.addHandler('MY_QUEUE_NAME_1', key, () => {
+          calls.push(key);
+          return Promise.resolve();
+        });
+      });
+      const unhandle = sandbox.stub();
+      service.on('unhandle', unhandle);
+      yield service.listen('EXCHANGE');
+
+      const callback = client.consume.getCall(0).args[1];
+      yield callback({}, { routingKey: 'ride.vip.created' }, {});
+      yield callback({}, { routingKey: 'ride.pool.created' }, {});
+      yield callback({}, { routingKey: 'ride.pool.ended' }, {});
+      yield callback({}, { routingKey: 'user.created' }, {});
+      yield callback({}, { routingKey: 'user.updated' }, {});
+
+      expect(calls).to.eql(['ride.vip.created', 'ride.*.created', 'ride.#', '#.created']);
+      expect(unhandle.calledOnce).to.be.true();
+    });
+
+    it('should call every matching handler with the fanOut option', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      const calls = [];
+      ['ride.#', 'ride.*.created', 'ride.vip.created', 'user.*'].forEach(key => {
+        service.addHandler('MY_QUEUE_NAME_1', key, () => {
+          calls.push(key);
+          return Promise.resolve();
+        });
+      });
+      yield service.listen('EXCHANGE', { fanOut: true });
+
+      yield client.consume.getCall(0).args[1]({}, { routingKey: 'ride.vip.created' }, {});
+
+      expect(calls).to.eql(['ride.vip.created', 'ride.*.created', 'ride.#']);
+    });
+
+    it('should count the unhandled messages in the client metrics', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub(),
+        metrics: { increment: sandbox.stub() },
+        getMetrics: sandbox.stub().returns([])
+      };
+      const service = bus.createListener('url', { client });
+      service.addHandler('MY_QUEUE_NAME_1', 'ride.created', () => Promise.resolve());
+      yield service.listen('EXCHANGE');
+
+      yield client.consume.getCall(0).args[1]({}, { exchange: 'EXCHANGE', routingKey: 'user.created' }, {});
+
+      expect(client.metrics.increment.calledOnce).to.be.true();
+      expect(client.metrics.increment.args[0]).to.eql([
+        'unhandled',
+        { exchange: 'EXCHANGE', queue: 'MY_QUEUE_NAME_1', routing_key: 'user.created' }
+      ]);
+      expect(service.getMetrics()).to.eql([]);
+      expect(client.getMetrics.calledOnce).to.be.true();
+    });
+
+    it('should drain the client on stop', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        drain: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      yield service.stop();
+      expect(client.drain.called).to.be.false();
+
+      yield service.listen('EXCHANGE');
+      yield service.stop({ timeout: 1000 });
+      expect(client.drain.firstCall.args).to.eql([{ timeout: 1000 }]);
+    });
+
+    it('should give the timeout of the called handler to the client', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client });
+      service.addHandler('MY_QUEUE_NAME_1', 'SOME_EVENT_1', function* someHandler() {}, { timeout: 100 });
+      service.addHandler('MY_QUEUE_NAME_1', 'SOME_EVENT_2', function* anotherHandler() {});
+      service.addHandler('MY_QUEUE_NAME_2', 'SOME_EVENT_3', function* lastHandler() {});
+      yield service.listen('EXCHANGE', { timeout: 1000 });
+
+      const getTimeout = client.consume.args[0][2].timeout;
+      expect(getTimeout({}, { routingKey: 'SOME_EVENT_1' })).to.equal(100);
+      expect(getTimeout({}, { routingKey: 'SOME_EVENT_2' })).to.equal(1000);
+      expect(client.setupQueue.args[0][3]).to.eql({ timeout: 1000 });
+      expect(client.consume.args[1][2]).to.eql({ timeout: 1000 });
+    });
+
+    it('should skip the messages already handled successfully', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const service = bus.createListener('url', { client, idempotency: true });
+      const handler = sandbox.stub();
+      handler.onFirstCall().returns(Promise.reject(new Error('failed')));
+      handler.returns(Promise.resolve());
+      const duplicate = sandbox.stub();
+      service.on('duplicate', duplicate);
+      service.addHandler('MY_QUEUE_NAME_1', 'SOME_EVENT', handler);
+      yield service.listen('EXCHANGE');
+
+      const callback = client.consume.getCall(0).args[1];
+      const fields = { routingKey: 'SOME_EVENT' };
+      let error;
+      try {
+        yield callback({}, fields, { messageId: 'id-1' });
+      } catch (err) {
+        error = err;
+      }
+      yield callback({}, fields, { messageId: 'id-1' });
+      yield callback({}, fields, { messageId: 'id-1' });
+      yield callback({}, fields, {});
+      yield callback({}, fields, {});
+
+      expect(error.message).to.equal('failed');
+      expect(handler.callCount).to.equal(4);
+      expect(duplicate.calledOnce).to.be.true();
+      expect(duplicate.firstCall.args[0]).to.include({ key: 'id-1', queue: 'MY_QUEUE_NAME_1' });
+    });
+
+    it('should extract the idempotency key and use the given store', function* test() {
+      const client = {
+        setupQueue: sandbox.stub().returns(Promise.resolve()),
+        consume: sandbox.stub().returns(Promise.resolve()),
+        on: sandbox.stub()
+      };
+      const store = {
+        has: sandbox.stub().returns(Promise.resolve(false)),
+        add: sandbox.stub().returns(Promise.resolve())
+      };
+      const service = bus.createListener('url', { client, idempotency: { store, key: message => message.eventId } });
+      service.addHandler('MY_QUEUE_NAME_1', 'SOME_EVENT', () => Promise.resolve());
+      yield service.listen('EXCHANGE');
+
+      yield client.consume.getCall(0).args[1]({ eventId: 'event-1' }, { routingKey: 'SOME_EVENT' }, {});
+
+      expect(store.has.firstCall.args).to.eql(['MY_QUEUE_NAME_1:event-1']);
+      expect(store.add.firstCall.args).to.eql(['MY_QUEUE_NAME_1:event-1']);
+    });
+
     it('should not reconnect twice', function* test() {
       const service = bus.createListener('amqp://localhost');
       const connectStub = sandbox.stub();
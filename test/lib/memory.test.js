@@ -0,0 +1,396 @@
+'use strict';
+
+require('co-mocha')(require('mocha'));
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('chpr-logger');
+
+const bus = require('../../index.js');
+const memory = require('../../lib/memory');
+
+const URL = 'memory://test';
+
+describe('Node AMQP Bus Memory Transport', () => {
+  let broker;
+
+  beforeEach(() => {
+    broker = bus.getMemoryBroker(URL);
+  });
+
+  afterEach(() => {
+    bus.resetMemoryBrokers();
+  });
+
+  describe('#connect', () => {
+    let connection;
+    let channel;
+
+    beforeEach(function* beforeEach() {
+      connection = yield memory.connect(URL);
+      channel = yield connection.createChannel();
+    });
+
+    afterEach(function* afterEach() {
+      yield connection.close();
+    });
+
+    function* bind(exchange, type, bindings) {
+      yield channel.assertExchange(exchange, type);
+      for (const queue of Object.keys(bindings)) {
+        yield channel.assertQueue(queue);
+        yield channel.bindQueue(queue, exchange, bindings[queue]);
+      }
+    }
+
+    function countMessages(queues) {
+      return queues.map(queue => broker.getQueueStats(queue).messageCount);
+    }
+
+    it('should route messages by topic', function* it() {
+      yield bind('exchange', 'topic', { a: 'ride.*', b: 'ride.#', c: 'user.*' });
+
+      channel.publish('exchange', 'ride.created', new Buffer('{}'));
+      channel.publish('exchange', 'ride.vip.created', new Buffer('{}'));
+
+      expect(countMessages(['a', 'b', 'c'])).to.eql([1, 2, 0]);
+    });
+
+    it('should route messages by routing key, or to every queue', function* it() {
+      yield bind('direct', 'direct', { a: 'ride.created', b: 'ride.*' });
+      yield bind('fanout', 'fanout', { c: 'ignored', d: '' });
+
+      channel.publish('direct', 'ride.created', new Buffer('{}'));
+      channel.publish('fanout', 'any', new Buffer('{}'));
+      channel.sendToQueue('a', new Buffer('{}'));
+
+      expect(countMessages(['a', 'b', 'c', 'd'])).to.eql([2, 0, 1, 1]);
+      expect(broker.getMessages('a')[1].fields).to.eql({ exchange: '', routingKey: 'a', redelivered: false });
+    });
+
+    it('should fail like RabbitMQ on a missing exchange or queue', function* it() {
+      let error;
+      let closed = false;
+      channel.on('close', () => {
+        closed = true;
+      });
+
+      try {
+        yield channel.checkExchange('missing');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.code).to.equal(404);
+      expect(closed).to.be.true();
+    });
+
+    it('should deliver no more unacked messages than the prefetch', function* it() {
+      yield channel.assertQueue('queue');
+      yield channel.prefetch(2);
+      const delivered = [];
+      yield channel.consume('queue', message => delivered.push(message));
+      [1, 2, 3].forEach(() => channel.sendToQueue('queue', new Buffer('{}')));
+
+      yield cb => setImmediate(cb);
+      expect(delivered).to.have.lengthOf(2);
+      expect(broker.getQueueStats('queue')).to.eql({ messageCount: 1, unackedCount: 2, consumerCount: 1 });
+
+      const processed = broker.waitForProcessed('queue');
+      channel.ack(delivered[0]);
+      expect((yield processed).outcome).to.equal('ack');
+      yield cb => setImmediate(cb);
+      expect(delivered).to.have.lengthOf(3);
+    });
+
+    it('should redeliver a requeued message, and dead-letter a rejected one', function* it() {
+      yield bind('dead-letter', 'topic', { 'dead-letter': '#' });
+      yield channel.assertQueue('queue', { deadLetterExchange: 'dead-letter' });
+      const delivered = [];
+      yield channel.consume('queue', message => {
+        delivered.push(message);
+        if (message.fields.redelivered) channel.nack(message, false, false);
+        else channel.nack(message);
+      });
+
+      channel.sendToQueue('queue', new Buffer('{}'), { messageId: 'id' });
+      yield broker.waitForIdle();
+
+      expect(delivered.map(message => message.fields.redelivered)).to.eql([false, true]);
+      const deadLettered = broker.getMessages('dead-letter');
+      expect(deadLettered).to.have.lengthOf(1);
+      expect(deadLettered[0].fields.routingKey).to.equal('queue');
+      expect(deadLettered[0].properties.messageId).to.equal('id');
+    });
+
+    it('should dead-letter the expired messages', function* it() {
+      yield channel.assertQueue('queue');
+      yield channel.assertQueue('wait', { messageTtl: 10, deadLetterExchange: '', deadLetterRoutingKey: 'queue' });
+
+      channel.sendToQueue('wait', new Buffer('{}'));
+      yield broker.waitForIdle();
+
+      expect(countMessages(['wait', 'queue'])).to.eql([0, 1]);
+    });
+
+    it('should requeue the unacked messages of a closed channel', function* it() {
+      const consumerChannel = yield connection.createChannel();
+      yield channel.assertQueue('queue');
+      yield consumerChannel.consume('queue', () => {});
+      channel.sendToQueue('queue', new Buffer('{}'));
+      yield cb => setImmediate(cb);
+
+      yield consumerChannel.close();
+
+      expect(broker.getQueueStats('queue')).to.eql({ messageCount: 1, unackedCount: 0, consumerCount: 0 });
+      expect(broker.getMessages('queue')[0].fields.redelivered).to.be.true();
+    });
+  });
+
+  describe('with a client and a listener', () => {
+    let client;
+    let listener;
+
+    beforeEach(function* beforeEach() {
+      client = yield bus.createClient(URL);
+      listener = bus.createListener(URL);
+    });
+
+    afterEach(function* afterEach() {
+      yield client.close();
+      if (listener.client) yield listener.client.close();
+    });
+
+    it('should deliver the published messages to the handlers', function* it() {
+      const handled = [];
+      listener.addHandler('rides', 'ride.created', message => {
+        handled.push(message);
+        return Promise.resolve();
+      });
+      yield listener.listen('exchange');
+
+      const processed = broker.waitForProcessed('rides');
+      yield client.publish('exchange', 'ride.created', { id: 1 });
+
+      expect((yield processed).outcome).to.equal('ack');
+      expect(handled).to.eql([{ id: 1 }]);
+    });
+
+    it('should retry a failed message, then dead-letter it', function* it() {
+      const warn = sinon.stub(logger, 'warn');
+      let attempts = 0;
+      listener.on('handle_error', () => {});
+      listener.addHandler('rides', 'ride.created', () => {
+        attempts += 1;
+        return Promise.reject(new Error('failed'));
+      });
+      yield listener.listen('exchange', { maxRetries: 2 });
+
+      yield client.publish('exchange', 'ride.created', { id: 1 });
+      yield broker.waitForIdle();
+      warn.restore();
+
+      expect(attempts).to.equal(3);
+      const deadLettered = broker.getMessages('rides.dead-letter');
+      expect(deadLettered).to.have.lengthOf(1);
+      expect(JSON.parse(deadLettered[0].content.toString())).to.eql({ id: 1 });
+    });
+
+    it('should reply to a request', function* it() {
+      listener.addRpcHandler('rides', 'ride.get', request => Promise.resolve({ id: request.id }));
+      yield listener.listen('exchange');
+
+      expect(yield client.request('exchange', 'ride.get', { id: 1 })).to.eql({ id: 1 });
+    });
+
+    it('should keep publishing and consuming when a failed check closes a channel', function* it() {
+      const warn = sinon.stub(logger, 'warn');
+      const handled = [];
+      listener.addHandler('rides', 'ride.created', message => {
+        handled.push(message);
+        return Promise.resolve();
+      });
+      yield listener.listen('exchange');
+      const errors = [];
+      listener.client.on('channel_error', err => errors.push(err.code));
+      const recreated = new Promise(resolve => listener.client.once('channel_recreated', resolve));
+
+      let error;
+      try {
+        yield listener.client.channel.checkQueue('missing');
+      } catch (err) {
+        error = err;
+      }
+      yield listener.client.publish('exchange', 'ride.created', { id: 1 });
+      expect(yield recreated).to.eql({ channel: 'main' });
+      warn.restore();
+
+      const processed = broker.waitForProcessed('rides');
+      yield client.publish('exchange', 'ride.created', { id: 2 });
+      yield processed;
+      expect(error.code).to.equal(404);
+      expect(errors).to.eql([404]);
+      expect(handled).to.eql([{ id: 1 }, { id: 2 }]);
+    });
+
+    it('should call the batch handlers with the messages of their key', function* it() {
+      const batches = [];
+      const handle = key => messages => {
+        batches.push([key, messages.map(message => message.content.id)]);
+        return Promise.resolve(messages.map(message => (message.content.id === 3 ? new Error('Failed') : null)));
+      };
+      listener.on('handle_error', () => {});
+      listener.addBatchHandler('rides', 'ride.*', handle('ride.*'), { batchSize: 4, batchTimeout: 10 });
+      listener.addBatchHandler('rides', 'ride.created', handle('ride.created'));
+      expect(() => listener.addHandler('rides', 'ride.ended', () => Promise.resolve()))
+        .to.throw('Queue rides already has batch handlers');
+      yield listener.listen('exchange', { maxRetries: 1 });
+
+      yield client.publish('exchange', 'ride.created', { id: 1 });
+      yield client.publish('exchange', 'ride.ended', { id: 2 });
+      yield client.publish('exchange', 'ride.created', { id: 3 });
+      yield client.publish('exchange', 'ride.ended', { id: 4 });
+      yield broker.waitForIdle();
+
+      expect(batches.slice(0, 2)).to.eql([['ride.created', [1, 3]], ['ride.*', [2, 4]]]);
+      expect(batches.slice(2)).to.eql([['ride.created', [3]]]);
+      expect(broker.getMessages('rides.dead-letter')).to.have.lengthOf(1);
+      expect(broker.getQueueStats('rides').unackedCount).to.equal(0);
+    });
+
+    it('should handle the partial batch when the listener is stopped', function* it() {
+      const batches = [];
+      listener.addBatchHandler('rides', 'ride.created', messages => {
+        batches.push(messages.map(message => message.content.id));
+        return Promise.resolve();
+      }, { batchSize: 10, batchTimeout: 60000 });
+      yield listener.listen('exchange');
+      yield client.publish('exchange', 'ride.created', { id: 1 });
+      yield client.publish('exchange', 'ride.created', { id: 2 });
+      yield cb => setImmediate(cb);
+
+      yield listener.stop();
+
+      expect(batches).to.eql([[1, 2]]);
+      expect(broker.getQueueStats('rides')).to.include({ messageCount: 0, unackedCount: 0 });
+    });
+
+    it('should validate the first deliveries against the schemas registered on the listener', function* it() {
+      const handled = [];
+      const validationErrors = [];
+      listener.registerSchema('exchange', 'ride.created', { type: 'object', required: ['id'] });
+      listener.addHandler('rides', 'ride.created', message => {
+        handled.push(message);
+        return Promise.resolve();
+      });
+      listener.on('validation_error', err => validationErrors.push(err.message));
+      // Published before the listener creates its client, so delivered as soon as it consumes
+      yield client.setupQueue('exchange', 'rides', 'ride.created');
+      yield client.publish('exchange', 'ride.created', { name: 'no id' });
+      yield client.publish('exchange', 'ride.created', { id: 1 });
+
+      yield listener.listen('exchange');
+      yield broker.waitForIdle();
+
+      expect(validationErrors).to.eql([
+        'Message does not match its schema: message should have required property \'id\''
+      ]);
+      expect(handled).to.eql([{ id: 1 }]);
+    });
+
+    it('should retry later, then skip, a duplicate delivered while its message is handled', function* it() {
+      listener = bus.createListener(URL, { idempotency: { retryDelay: 20 } });
+      const errors = [];
+      listener.on('handle_error', (err, metadata) => errors.push(metadata.err.message));
+      let calls = 0;
+      listener.addHandler('rides', 'ride.created', () => new Promise(resolve => setTimeout(() => {
+        calls += 1;
+        resolve();
+      }, 10)));
+      const duplicates = [];
+      listener.on('duplicate', duplicate => duplicates.push(duplicate.key));
+      yield listener.listen('exchange', { concurrency: 2 });
+
+      yield client.publish('exchange', 'ride.created', { id: 1 }, { messageId: 'id-1' });
+      yield client.publish('exchange', 'ride.created', { id: 1 }, { messageId: 'id-1' });
+      yield broker.waitForIdle();
+
+      expect(errors).to.eql(['Message id-1 is being handled']);
+      expect(duplicates).to.eql(['id-1']);
+      expect(calls).to.equal(1);
+      expect(broker.getQueueStats('rides')).to.include({ messageCount: 0, unackedCount: 0 });
+    });
+
+    it('should handle the retry of a failed message whose duplicate was retried later', function* it() {
+      const warn = sinon.stub(logger, 'warn');
+      listener = bus.createListener(URL, { idempotency: { retryDelay: 50 } });
+      let calls = 0;
+      const handled = [];
+      listener.on('handle_error', () => {});
+      listener.addHandler('rides', 'ride.created', message => new Promise((resolve, reject) => setTimeout(() => {
+        calls += 1;
+        if (calls === 1) return reject(new Error('failed'));
+        handled.push(message);
+        return resolve();
+      }, 10)));
+      const duplicates = [];
+      listener.on('duplicate', duplicate => duplicates.push(duplicate.key));
+      yield listener.listen('exchange', { concurrency: 2, maxRetries: 1 });
+
+      yield client.publish('exchange', 'ride.created', { id: 1 }, { messageId: 'id-1' });
+      yield client.publish('exchange', 'ride.created', { id: 1 }, { messageId: 'id-1' });
+      yield broker.waitForIdle();
+      warn.restore();
+
+      // The first delivery failed, its retry is handled, and the duplicate skipped once retried
+      expect(duplicates).to.eql(['id-1']);
+      expect(calls).to.equal(2);
+      expect(handled).to.eql([{ id: 1 }]);
+      expect(broker.getMessages('rides.dead-letter')).to.have.lengthOf(0);
+    });
+
+    it('should handle the retry of a message whose handler timed out', function* it() {
+      const warn = sinon.stub(logger, 'warn');
+      listener = bus.createListener(URL, { idempotency: true });
+      let calls = 0;
+      const handled = [];
+      listener.on('handle_error', () => {});
+      listener.addHandler('rides', 'ride.created', message => {
+        calls += 1;
+        if (calls > 1) {
+          handled.push(message);
+          return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => setTimeout(() => reject(new Error('failed')), 60));
+      }, { timeout: 20 });
+      const duplicates = [];
+      listener.on('duplicate', duplicate => duplicates.push(duplicate.key));
+      yield listener.listen('exchange', { maxRetries: 3 });
+
+      yield client.publish('exchange', 'ride.created', { id: 1 }, { messageId: 'id-1' });
+      yield broker.waitForIdle();
+      yield cb => setTimeout(cb, 60);
+      warn.restore();
+
+      expect(duplicates).to.eql([]);
+      expect(calls).to.equal(2);
+      expect(handled).to.eql([{ id: 1 }]);
+      expect(broker.getMessages('rides.dead-letter')).to.have.lengthOf(0);
+    });
+
+    it('should drain the messages being handled', function* it() {
+      let handled = 0;
+      listener.addHandler('rides', 'ride.created', () => new Promise(resolve => setTimeout(() => {
+        handled += 1;
+        resolve();
+      }, 10)));
+      yield listener.listen('exchange', { prefetch: 1 });
+      yield client.publish('exchange', 'ride.created', {});
+      yield cb => setImmediate(cb);
+
+      yield listener.stop();
+
+      expect(handled).to.equal(1);
+      expect(broker.getQueueStats('rides').unackedCount).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const { createMetrics, renderPrometheus } = require('../../lib/metrics');
+
+describe('Node AMQP Bus Metrics', () => {
+  describe('#createMetrics', () => {
+    it('should count by labels', () => {
+      const metrics = createMetrics();
+      metrics.increment('consumed', { queue: 'a', exchange: 'ex' });
+      metrics.increment('consumed', { exchange: 'ex', queue: 'a' });
+      metrics.increment('consumed', { exchange: 'ex', queue: 'b' }, 3);
+
+      const consumed = metrics.snapshot().find(metric => metric.name === 'amqp_bus_messages_consumed_total');
+      expect(consumed.type).to.equal('counter');
+      expect(consumed.values).to.eql([
+        { labels: { queue: 'a', exchange: 'ex' }, value: 2 },
+        { labels: { exchange: 'ex', queue: 'b' }, value: 3 }
+      ]);
+    });
+
+    it('should observe values in cumulative buckets', () => {
+      const metrics = createMetrics({ buckets: [0.1, 1] });
+      metrics.observe('handlerDuration', { queue: 'a' }, 0.05);
+      metrics.observe('handlerDuration', { queue: 'a' }, 0.5);
+      metrics.observe('handlerDuration', { queue: 'a' }, 2);
+
+      const durations = metrics.snapshot().find(metric => metric.name === 'amqp_bus_handler_duration_seconds');
+      expect(durations.values).to.eql([{
+        labels: { queue: 'a' },
+        buckets: [{ le: 0.1, count: 1 }, { le: 1, count: 2 }],
+        sum: 2.55,
+        count: 3
+      }]);
+    });
+
+    it('should return a snapshot that is not updated afterwards', () => {
+      const metrics = createMetrics();
+      metrics.increment('published', { exchange: 'ex' });
+      const snapshot = metrics.snapshot();
+      metrics.increment('published', { exchange: 'ex' });
+
+      expect(snapshot.find(metric => metric.name === 'amqp_bus_messages_published_total').values[0].value)
+        .to.equal(1);
+    });
+
+    it('should throw on an unknown metric', () => {
+      const metrics = createMetrics();
+
+      expect(() => metrics.increment('unknown', {})).to.throw('Unknown metric: unknown');
+    });
+  });
+
+  describe('#renderPrometheus', () => {
+    it('should render the counters and histograms in the text format', () => {
+      const metrics = createMetrics({ buckets: [0.1, 1] });
+      metrics.increment('unhandled', { exchange: 'ex', queue: 'a', routing_key: 'say "hi"\n' });
+      metrics.observe('publishConfirmDuration', { exchange: 'ex', routing_key: 'key' }, 0.5);
+
+      const lines = renderPrometheus(metrics.snapshot()).split('\n');
+      expect(lines).to.include.members([
+        '# HELP amqp_bus_messages_unhandled_total Number of consumed messages without handler',
+        '# TYPE amqp_bus_messages_unhandled_total counter',
+        'amqp_bus_messages_unhandled_total{exchange="ex",queue="a",routing_key="say \\"hi\\"\\n"} 1',
+        '# TYPE amqp_bus_publish_confirm_duration_seconds histogram',
+        'amqp_bus_publish_confirm_duration_seconds_bucket{exchange="ex",routing_key="key",le="0.1"} 0',
+        'amqp_bus_publish_confirm_duration_seconds_bucket{exchange="ex",routing_key="key",le="1"} 1',
+        'amqp_bus_publish_confirm_duration_seconds_bucket{exchange="ex",routing_key="key",le="+Inf"} 1',
+        'amqp_bus_publish_confirm_duration_seconds_sum{exchange="ex",routing_key="key"} 0.5',
+        'amqp_bus_publish_confirm_duration_seconds_count{exchange="ex",routing_key="key"} 1'
+      ]);
+      expect(lines[lines.length - 1]).to.equal('');
+    });
+  });
+});
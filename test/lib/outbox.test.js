@@ -0,0 +1,186 @@
+'use strict';
+
+require('co-mocha')(require('mocha'));
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const createOutbox = require('../../lib/outbox');
+
+/**
+ * @param {Promise} promise : a promise expected to be rejected
+ * @returns {Promise} the rejection error
+ */
+function rejectionOf(promise) {
+  return promise.then(() => {
+    throw new Error('Promise was not rejected');
+  }, err => err);
+}
+
+describe('Node AMQP Bus Outbox', () => {
+  let sent;
+  let available;
+  let transport;
+
+  beforeEach(() => {
+    sent = [];
+    available = false;
+    transport = {
+      send: entry => {
+        sent.push(entry.content.toString());
+        return Promise.resolve();
+      },
+      isAvailable: () => available
+    };
+  });
+
+  it('should flush the buffered messages in order', function* it() {
+    const outbox = createOutbox({}, transport);
+    const first = outbox.push('exchange', 'key', new Buffer('1'));
+    const second = outbox.push('exchange', 'key', new Buffer('2'), { persistent: true });
+    yield cb => setImmediate(cb);
+    expect(outbox.size()).to.equal(2);
+
+    available = true;
+    yield outbox.flush();
+    yield [first, second];
+
+    expect(sent).to.eql(['1', '2']);
+    expect(outbox.size()).to.equal(0);
+  });
+
+  it('should flush right away when a channel is available', function* it() {
+    const outbox = createOutbox({}, transport);
+    available = true;
+
+    yield outbox.push('exchange', 'key', new Buffer('1'));
+
+    expect(sent).to.eql(['1']);
+  });
+
+  it('should keep the messages when the channel is lost during the flush', function* it() {
+    transport.send = entry => {
+      available = false;
+      return Promise.reject(new Error(`Channel closed while sending ${entry.content}`));
+    };
+    const outbox = createOutbox({}, transport);
+    outbox.push('exchange', 'key', new Buffer('1'));
+    outbox.push('exchange', 'key', new Buffer('2'));
+    yield cb => setImmediate(cb);
+
+    available = true;
+    yield outbox.flush();
+
+    expect(outbox.size()).to.equal(2);
+  });
+
+  it('should reject a message that cannot be published', function* it() {
+    transport.send = () => Promise.reject(new Error('Message was nacked by the broker'));
+    const outbox = createOutbox({}, transport);
+    available = true;
+
+    const err = yield rejectionOf(outbox.push('exchange', 'key', new Buffer('1')));
+
+    expect(err.message).to.equal('Message was nacked by the broker');
+    expect(outbox.size()).to.equal(0);
+  });
+
+  it('should reject new messages when full (reject policy)', function* it() {
+    const outbox = createOutbox({ maxSize: 1 }, transport);
+    outbox.push('exchange', 'key', new Buffer('1'));
+    yield cb => setImmediate(cb);
+
+    const err = yield rejectionOf(outbox.push('exchange', 'key', new Buffer('2')));
+    expect(err.message).to.equal('Outbox is full');
+    expect(outbox.size()).to.equal(1);
+  });
+
+  it('should drop the oldest message when full (drop-oldest policy)', function* it() {
+    const outbox = createOutbox({ maxSize: 1, overflow: 'drop-oldest' }, transport);
+    const first = rejectionOf(outbox.push('exchange', 'key', new Buffer('1')));
+    yield cb => setImmediate(cb);
+    const second = outbox.push('exchange', 'key', new Buffer('2'));
+    yield cb => setImmediate(cb);
+
+    const err = yield first;
+    expect(err.message).to.equal('Message was dropped from the full outbox');
+    available = true;
+    yield outbox.flush();
+    yield second;
+    expect(sent).to.eql(['2']);
+  });
+
+  it('should wait for room when full (block policy)', function* it() {
+    const outbox = createOutbox({ maxSize: 1, overflow: 'block' }, transport);
+    const first = outbox.push('exchange', 'key', new Buffer('1'));
+    const second = outbox.push('exchange', 'key', new Buffer('2'));
+    yield cb => setImmediate(cb);
+    expect(outbox.size()).to.equal(1);
+
+    available = true;
+    outbox.flush();
+    yield [first, second];
+    expect(sent).to.eql(['1', '2']);
+  });
+
+  it('should throw on an unknown overflow policy', () => {
+    expect(() => createOutbox({ overflow: 'ignore' }, transport)).to.throw('Unknown outbox overflow policy: ignore');
+  });
+
+  it('should reject the pending messages when closed', function* it() {
+    const outbox = createOutbox({}, transport);
+    const promise = rejectionOf(outbox.push('exchange', 'key', new Buffer('1')));
+    yield cb => setImmediate(cb);
+
+    outbox.close();
+
+    const err = yield promise;
+    expect(err.message).to.equal('Client was closed before the message was published');
+  });
+
+  describe('spool file', () => {
+    let spoolFile;
+
+    beforeEach(() => {
+      spoolFile = path.join(os.tmpdir(), `node-amqp-bus-outbox-${process.pid}-${Date.now()}.jsonl`);
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(spoolFile)) fs.unlinkSync(spoolFile);
+    });
+
+    it('should restore the messages that were not flushed', function* it() {
+      const outbox = createOutbox({ spoolFile }, {
+        send: entry => {
+          if (entry.content.toString() !== '1') available = false;
+          return available ? Promise.resolve() : Promise.reject(new Error(`Lost ${entry.content}`));
+        },
+        isAvailable: () => available
+      });
+      outbox.push('exchange', 'key', new Buffer('1'));
+      outbox.push('exchange', 'key', new Buffer('2'), { persistent: true });
+      outbox.push('exchange', 'key', new Buffer('3'));
+      yield cb => setImmediate(cb);
+      available = true;
+      yield outbox.flush();
+      expect(outbox.size()).to.equal(2);
+
+      available = true;
+      const restored = createOutbox({ spoolFile }, transport);
+      expect(restored.size()).to.equal(2);
+      yield restored.flush();
+      expect(sent).to.eql(['2', '3']);
+      expect(fs.readFileSync(spoolFile, 'utf8')).to.equal('');
+    });
+
+    it('should skip a truncated record', () => {
+      const record = { op: 'add', id: 'a', exchange: 'exchange', routingKey: 'key', content: '' };
+      fs.writeFileSync(spoolFile, `${JSON.stringify(record)}\n{"op":"ad`);
+
+      const outbox = createOutbox({ spoolFile }, transport);
+
+      expect(outbox.size()).to.equal(1);
+    });
+  });
+});
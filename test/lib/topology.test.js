@@ -0,0 +1,148 @@
+'use strict';
+
+require('co-mocha')(require('mocha'));
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const bus = require('../../index.js');
+const { loadTopology } = require('../../lib/topology');
+
+const URL = 'memory://topology';
+
+const TOPOLOGY = {
+  exchanges: [{ name: 'rides', type: 'topic' }, { name: 'audit', type: 'fanout' }],
+  queues: [
+    { name: 'ride-service', options: { deadLetterExchange: 'rides.dead-letter', messageTtl: 60000 } },
+    { name: 'audit-log', options: { maxLength: 1000, maxPriority: 10 } }
+  ],
+  bindings: [
+    { exchange: 'rides', queue: 'ride-service', routingKey: 'ride.#' },
+    { exchange: 'rides', targetExchange: 'audit', routingKey: '#' },
+    { exchange: 'audit', queue: 'audit-log' }
+  ]
+};
+
+describe('Node AMQP Bus Topology', () => {
+  describe('#loadTopology', () => {
+    it('should fill in the defaults', () => {
+      expect(loadTopology({ exchanges: [{ name: 'rides' }], bindings: [{ exchange: 'rides', queue: 'q' }] }))
+        .to.eql({
+          exchanges: [{ name: 'rides', type: 'topic', options: {} }],
+          queues: [],
+          bindings: [{ exchange: 'rides', queue: 'q', routingKey: '', arguments: {} }]
+        });
+    });
+
+    it('should read a JSON file', () => {
+      const file = path.join(os.tmpdir(), `topology-${process.pid}.json`);
+      fs.writeFileSync(file, JSON.stringify(TOPOLOGY));
+      try {
+        expect(loadTopology(file).queues).to.have.lengthOf(2);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should reject an invalid topology', () => {
+      expect(() => loadTopology({ queues: {} })).to.throw('Invalid topology: queues should be an array');
+      expect(() => loadTopology({ exchanges: [{ type: 'topic' }] }))
+        .to.throw('Invalid topology: exchanges[0] has no name');
+      expect(() => loadTopology({ bindings: [{ exchange: 'rides', queue: 'q', targetExchange: 'e' }] }))
+        .to.throw('Invalid topology: bindings[0] should have either a queue or a targetExchange');
+    });
+  });
+
+  describe('#applyTopology', () => {
+    let client;
+    let broker;
+
+    beforeEach(function* beforeEach() {
+      client = yield bus.createClient(URL);
+      broker = bus.getMemoryBroker(URL);
+    });
+
+    afterEach(function* afterEach() {
+      yield client.close();
+      bus.resetMemoryBrokers();
+    });
+
+    it('should assert the exchanges, queues and bindings', function* it() {
+      yield client.applyTopology(TOPOLOGY);
+
+      yield client.publish('rides', 'ride.created', {});
+
+      expect(broker.getQueueStats('ride-service').messageCount).to.equal(1);
+      expect(broker.getQueueStats('audit-log').messageCount).to.equal(1);
+    });
+
+    it('should report the missing exchanges, queues and bindings in dry-run mode', function* it() {
+      yield client.applyTopology({ exchanges: [{ name: 'rides' }] });
+
+      const report = yield client.applyTopology(TOPOLOGY, { dryRun: true });
+
+      expect(report.ok).to.be.false();
+      expect(report.missing.map(entry => [entry.kind, entry.name || entry.queue || entry.targetExchange])).to.eql([
+        ['exchange', 'audit'],
+        ['queue', 'ride-service'],
+        ['queue', 'audit-log'],
+        ['binding', 'ride-service'],
+        ['binding', 'audit'],
+        ['binding', 'audit-log']
+      ]);
+      expect(report.different).to.eql([]);
+      expect(report.unverifiable).to.eql([]);
+      expect(() => broker.getQueueStats('ride-service')).to.throw('Queue ride-service does not exist');
+      expect(client.channel).to.not.equal(null);
+    });
+
+    it('should report the exchanges and queues that differ in dry-run mode', function* it() {
+      yield client.applyTopology({
+        exchanges: [{ name: 'rides', type: 'direct' }, { name: 'audit', type: 'fanout' }],
+        queues: [{ name: 'ride-service' }, { name: 'audit-log', options: { maxLength: 1000, maxPriority: 10 } }]
+      });
+
+      const report = yield client.applyTopology(TOPOLOGY, { dryRun: true });
+
+      expect(report.missing).to.eql([]);
+      expect(report.different).to.eql([
+        {
+          kind: 'exchange',
+          name: 'rides',
+          type: 'topic',
+          options: {},
+          error: `PRECONDITION_FAILED - inequivalent arg 'type' for exchange 'rides'`
+        },
+        {
+          kind: 'queue',
+          name: 'ride-service',
+          options: { deadLetterExchange: 'rides.dead-letter', messageTtl: 60000 },
+          error: `PRECONDITION_FAILED - inequivalent arg 'messageTtl' for queue 'ride-service'`
+        }
+      ]);
+    });
+
+    it('should report an applied topology without bindings as ok in dry-run mode', function* it() {
+      const topology = { exchanges: TOPOLOGY.exchanges, queues: TOPOLOGY.queues };
+      yield client.applyTopology(topology);
+
+      expect(yield client.applyTopology(topology, { dryRun: true }))
+        .to.eql({ ok: true, missing: [], different: [], unverifiable: [] });
+    });
+
+    it('should report the bindings between existing endpoints as unverifiable in dry-run mode', function* it() {
+      yield client.applyTopology({ exchanges: TOPOLOGY.exchanges, queues: TOPOLOGY.queues });
+
+      const report = yield client.applyTopology(TOPOLOGY, { dryRun: true });
+
+      expect(report.ok).to.be.false();
+      expect(report.missing).to.eql([]);
+      expect(report.unverifiable).to.eql([
+        { kind: 'binding', exchange: 'rides', queue: 'ride-service', routingKey: 'ride.#', arguments: {} },
+        { kind: 'binding', exchange: 'rides', targetExchange: 'audit', routingKey: '#', arguments: {} },
+        { kind: 'binding', exchange: 'audit', queue: 'audit-log', routingKey: '', arguments: {} }
+      ]);
+    });
+  });
+});
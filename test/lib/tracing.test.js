@@ -0,0 +1,84 @@
+'use strict';
+
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const { createOpenTelemetryTracer } = require('../../lib/tracing');
+
+/**
+ * @returns {Object} a fake OpenTelemetry api, whose contexts are plain objects
+ */
+function createFakeApi() {
+  const span = { recordException: sinon.spy(), setStatus: sinon.spy(), end: sinon.spy() };
+  const active = { name: 'active' };
+  return {
+    span,
+    active,
+    SpanKind: { PRODUCER: 3, CONSUMER: 4 },
+    SpanStatusCode: { ERROR: 2 },
+    trace: {
+      getTracer: sinon.stub().returns({ startSpan: sinon.stub().returns(span) }),
+      setSpan: (context, activeSpan) => Object.assign({}, context, { span: activeSpan })
+    },
+    context: {
+      active: () => active,
+      with: (context, fn) => fn(context)
+    },
+    propagation: {
+      extract: (context, carrier) => Object.assign({}, context, { traceparent: carrier.traceparent }),
+      inject: (context, carrier) => {
+        carrier.traceparent = '00-trace-span-01';
+      }
+    }
+  };
+}
+
+describe('Node AMQP Bus Tracing', () => {
+  describe('#createOpenTelemetryTracer', () => {
+    it('should start a consumer span, child of the context extracted from the headers', () => {
+      const api = createFakeApi();
+      const tracer = createOpenTelemetryTracer(api);
+
+      const span = tracer.startSpan('queue process', {
+        kind: 'consumer',
+        carrier: { traceparent: '00-parent-span-01' },
+        attributes: { 'messaging.system': 'rabbitmq' }
+      });
+
+      expect(api.trace.getTracer.firstCall.args).to.eql(['node-amqp-bus', undefined]);
+      const otelTracer = api.trace.getTracer.firstCall.returnValue;
+      expect(otelTracer.startSpan.firstCall.args).to.eql([
+        'queue process',
+        { kind: 4, attributes: { 'messaging.system': 'rabbitmq' } },
+        { name: 'active', traceparent: '00-parent-span-01' }
+      ]);
+      expect(tracer.withSpan(span, context => context.span)).to.equal(api.span);
+    });
+
+    it('should inject the context of a producer span in the headers', () => {
+      const api = createFakeApi();
+      const tracer = createOpenTelemetryTracer(api);
+      const headers = {};
+
+      const span = tracer.startSpan('exchange publish', { kind: 'producer' });
+      tracer.inject(span, headers);
+
+      const otelTracer = api.trace.getTracer.firstCall.returnValue;
+      expect(otelTracer.startSpan.firstCall.args[1].kind).to.equal(3);
+      expect(otelTracer.startSpan.firstCall.args[2]).to.equal(api.active);
+      expect(headers).to.eql({ traceparent: '00-trace-span-01' });
+    });
+
+    it('should record the error of a failed span', () => {
+      const api = createFakeApi();
+      const tracer = createOpenTelemetryTracer(api);
+      const err = new Error('failed');
+
+      tracer.endSpan(tracer.startSpan('queue process', { kind: 'consumer' }), err);
+
+      expect(api.span.recordException.firstCall.args).to.eql([err]);
+      expect(api.span.setStatus.firstCall.args).to.eql([{ code: 2, message: 'failed' }]);
+      expect(api.span.end.calledOnce).to.be.true();
+    });
+  });
+});